@@ -0,0 +1,74 @@
+// Buffers between coupled machines. Each good part an upstream machine makes is
+// put on the buffer with its product and becomes available downstream after the
+// transit time; each cycle of the downstream machine takes one part off, first in
+// first out. A full buffer blocks the upstream machine; an empty one, or a part of
+// a product the downstream machine does not make, starves the downstream machine.
+class MaterialBuffer {
+    constructor(options) {
+        this.from = options.from;
+        this.to = options.to;
+        this.capacity = options.capacity;
+        this.transitMs = options.transitTime * 1000;
+
+        // Ready time (simulated ms) and product of every part on the buffer, oldest first
+        this.parts = Array.from({ length: options.initialLevel || 0 }, () => ({ ready: 0, product: options.initialProduct ?? null }));
+    }
+
+    get level() {
+        return this.parts.length;
+    }
+
+    get isFull() {
+        return this.parts.length >= this.capacity;
+    }
+
+    // products: what the downstream machine makes, empty for any
+    hasPartReady(now, products = []) {
+        const part = this.parts[0];
+        return Boolean(part) && part.ready <= now &&
+            (part.product === null || products.length === 0 || products.includes(part.product));
+    }
+
+    put(now, product = null) {
+        this.parts.push({ ready: now + this.transitMs, product });
+    }
+
+    // The part taken, or null if none is ready for the downstream machine
+    take(now, products = []) {
+        return this.hasPartReady(now, products) ? this.parts.shift() : null;
+    }
+}
+
+// Creates the buffers described by the plant's material_flow section and wires
+// them to the machines. Machines outside the plant (e.g. single-machine mode)
+// are skipped.
+function linkMachines(machines, flows) {
+    const byId = new Map(machines.map(machine => [machine.machineId, machine]));
+    const buffers = [];
+
+    flows.forEach((flow, index) => {
+        const upstream = byId.get(flow.from);
+        const downstream = byId.get(flow.to);
+        if (!upstream || !downstream) return;
+
+        if (upstream.outputBuffer || downstream.inputBuffer) {
+            throw new Error(`material_flow ${index}: ${flow.from} -> ${flow.to} - each machine can have one input and one output buffer`);
+        }
+
+        const buffer = new MaterialBuffer({
+            from: flow.from,
+            to: flow.to,
+            capacity: flow.buffer_capacity || 50,
+            transitTime: flow.transit_time || 0,
+            initialLevel: flow.initial_level || 0,
+            initialProduct: upstream.productCode
+        });
+        upstream.outputBuffer = buffer;
+        downstream.inputBuffer = buffer;
+        buffers.push(buffer);
+    });
+
+    return buffers;
+}
+
+module.exports = { MaterialBuffer, linkMachines };
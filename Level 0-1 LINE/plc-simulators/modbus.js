@@ -0,0 +1,163 @@
+const ModbusRTU = require('modbus-serial');
+
+const STATE_CODES = ['IDLE', 'RUNNING', 'STARVED', 'BLOCKED', 'ERROR', 'MAINTENANCE'];
+
+// Input registers (FC04), also readable as holding registers at HOLDING_MIRROR_OFFSET + address.
+// Values are scaled 16-bit integers; 32-bit counters span two registers, high word first.
+const INPUT_REGISTERS = [
+    { address: 0, name: 'temperature', scale: 10, signed: true, value: data => data.sensors.temperature },
+    { address: 1, name: 'pressure', scale: 100, value: data => data.sensors.pressure },
+    { address: 2, name: 'speed', scale: 1, value: data => data.sensors.speed },
+    { address: 3, name: 'vibration', scale: 100, value: data => data.sensors.vibration },
+    { address: 4, name: 'power_consumption', scale: 10, value: data => data.sensors.power_consumption },
+    { address: 5, name: 'state', scale: 1, value: data => STATE_CODES.indexOf(data.status.state) },
+    { address: 6, name: 'error_code', scale: 1, value: data => (data.status.error_code ? parseInt(data.status.error_code.replace(/\D/g, '')) || 0 : 0) },
+    { address: 7, name: 'efficiency', scale: 100, value: data => data.status.efficiency },
+    { address: 8, name: 'cycle_count', scale: 1, words: 2, value: data => data.status.cycle_count },
+    { address: 10, name: 'good_parts', scale: 1, words: 2, value: data => data.quality.good_parts },
+    { address: 12, name: 'bad_parts', scale: 1, words: 2, value: data => data.quality.bad_parts },
+    { address: 14, name: 'reject_rate', scale: 100, value: data => data.quality.reject_rate },
+    { address: 15, name: 'runtime_hours', scale: 10, words: 2, value: data => data.status.runtime_hours },
+    { address: 17, name: 'last_maintenance_hours', scale: 10, words: 2, value: data => data.status.last_maintenance_hours }
+];
+
+const HOLDING_MIRROR_OFFSET = 100;
+
+// Writable holding registers
+const HOLDING_SPEED_SETPOINT = 0; // percent, 0-100
+const HOLDING_COMMAND = 1;        // write 1 START, 2 STOP, 3 RESET_FAULT, 4 ACK_MAINTENANCE; reads 0
+const COMMAND_CODES = { 1: 'START', 2: 'STOP', 3: 'RESET_FAULT', 4: 'ACK_MAINTENANCE' };
+
+// Coils (FC01/05/15)
+const COIL_RUN = 0;             // 1 = START, 0 = STOP; reads back the operator run command
+const COIL_RESET_FAULT = 1;     // write 1 to reset a fault; reads 0
+const COIL_ACK_MAINTENANCE = 2; // write 1 to acknowledge maintenance; reads 0
+
+// Discrete inputs (FC02), one per machine state in STATE_CODES order
+const DISCRETE_STATES = STATE_CODES;
+
+function illegalAddress(address) {
+    const error = new Error(`Illegal data address ${address}`);
+    error.modbusErrorCode = 0x02;
+    return error;
+}
+
+function illegalValue(message) {
+    const error = new Error(message);
+    error.modbusErrorCode = 0x03;
+    return error;
+}
+
+// Modbus TCP stand-in for a legacy PLC: exposes one machine's latest sample as a
+// register map and maps writes onto the same commands as the MQTT command channel
+class ModbusServer {
+    constructor(machine, options) {
+        this.machine = machine;
+        this.port = options.port;
+        this.host = options.host || '0.0.0.0';
+        this.registers = new Array(INPUT_REGISTERS.reduce((max, entry) => Math.max(max, entry.address + (entry.words || 1)), 0)).fill(0);
+        this.server = null;
+    }
+
+    start() {
+        this.server = new ModbusRTU.ServerTCP({
+            getInputRegister: address => this.readInputRegister(address),
+            getHoldingRegister: address => this.readHoldingRegister(address),
+            getCoil: address => this.readCoil(address),
+            getDiscreteInput: address => this.readDiscreteInput(address),
+            setRegister: (address, value) => this.writeRegister(address, value),
+            setCoil: (address, value) => this.writeCoil(address, value)
+        }, { host: this.host, port: this.port });
+
+        this.server.on('initialized', () => {
+            console.log(`[${this.machine.machineId}] Modbus TCP server listening on ${this.host}:${this.port}`);
+        });
+        this.server.on('serverError', (error) => {
+            console.error(`[${this.machine.machineId}] Modbus TCP server error:`, error);
+        });
+        this.server.on('socketError', (error) => {
+            console.error(`[${this.machine.machineId}] Modbus TCP socket error:`, error);
+        });
+    }
+
+    // Called with every new sample
+    update(data) {
+        INPUT_REGISTERS.forEach(entry => {
+            const raw = Math.round((entry.value(data) ?? 0) * entry.scale);
+            if (entry.words === 2) {
+                const value = Math.max(0, Math.min(0xffffffff, raw));
+                this.registers[entry.address] = Math.floor(value / 0x10000);
+                this.registers[entry.address + 1] = value % 0x10000;
+            } else {
+                const clamped = entry.signed ? Math.max(-0x8000, Math.min(0x7fff, raw)) : Math.max(0, Math.min(0xffff, raw));
+                this.registers[entry.address] = clamped & 0xffff;
+            }
+        });
+    }
+
+    readInputRegister(address) {
+        if (address < 0 || address >= this.registers.length) throw illegalAddress(address);
+        return this.registers[address];
+    }
+
+    readHoldingRegister(address) {
+        if (address === HOLDING_SPEED_SETPOINT) return Math.round(this.machine.speedSetpoint);
+        if (address === HOLDING_COMMAND) return 0;
+        if (address >= HOLDING_MIRROR_OFFSET) return this.readInputRegister(address - HOLDING_MIRROR_OFFSET);
+        throw illegalAddress(address);
+    }
+
+    readCoil(address) {
+        if (address === COIL_RUN) return !this.machine.operatorStopped;
+        if (address === COIL_RESET_FAULT || address === COIL_ACK_MAINTENANCE) return false;
+        throw illegalAddress(address);
+    }
+
+    readDiscreteInput(address) {
+        if (address < 0 || address >= DISCRETE_STATES.length) throw illegalAddress(address);
+        return this.machine.machineState === DISCRETE_STATES[address];
+    }
+
+    writeRegister(address, value) {
+        if (address === HOLDING_SPEED_SETPOINT) {
+            this.execute({ command: 'SET_SPEED', params: { speed: value } });
+            return;
+        }
+        if (address === HOLDING_COMMAND) {
+            if (!COMMAND_CODES[value]) throw illegalValue(`Unknown command code ${value}`);
+            this.execute({ command: COMMAND_CODES[value] });
+            return;
+        }
+        throw illegalAddress(address);
+    }
+
+    writeCoil(address, value) {
+        if (address === COIL_RUN) {
+            this.execute({ command: value ? 'START' : 'STOP' });
+        } else if (address === COIL_RESET_FAULT || address === COIL_ACK_MAINTENANCE) {
+            if (value) {
+                this.execute({ command: address === COIL_RESET_FAULT ? 'RESET_FAULT' : 'ACK_MAINTENANCE' });
+            }
+        } else {
+            throw illegalAddress(address);
+        }
+    }
+
+    // Rejected commands surface as a Modbus exception to the writing client
+    execute(command) {
+        const result = this.machine.executeCommand(command);
+        console.log(`[${this.machine.machineId}] Modbus ${command.command} ${result.status} - ${result.message}`);
+        if (result.status === 'REJECTED') {
+            throw illegalValue(result.message);
+        }
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close(() => {});
+            this.server = null;
+        }
+    }
+}
+
+module.exports = { ModbusServer, INPUT_REGISTERS, STATE_CODES };
@@ -0,0 +1,82 @@
+// Per-part inspection results for SPC and traceability. Every produced part is
+// measured against its product's nominal dimensions; the spread follows the
+// machine's process capability and widens when the process runs hot.
+
+const DEFAULT_TOLERANCE = 0.05;
+const DEFAULT_DIMENSIONS = { length: 100 };
+
+// Defects the measured dimensions cannot explain
+const OTHER_DEFECTS = ['SURFACE_FINISH', 'MATERIAL_FLAW', 'ASSEMBLY'];
+
+class PartInspector {
+    constructor(options) {
+        this.machineId = options.machineId;
+        this.machineType = options.machineType;
+        this.products = options.products || {};
+        this.capability = options.capability; // Cpk of a centred process
+        this.random = options.random;
+
+        // Serial numbers are unique per machine and run
+        this.serialPrefix = `${this.machineId}-${options.runStart.toString(36).toUpperCase()}`;
+    }
+
+    spec(productCode) {
+        const product = this.products[productCode] || {};
+        const qualitySpecs = product.quality_specs || {};
+        return {
+            tolerance: qualitySpecs.tolerance ?? DEFAULT_TOLERANCE,
+            dimensions: product.dimensions || DEFAULT_DIMENSIONS
+        };
+    }
+
+    // Standard normal draw (Box-Muller) from the machine's random stream
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // offsets: mean shift per dimension ('*' applies to all), spread: sigma multiplier,
+    // otherDefectRate: probability of a defect that is not dimensional
+    inspect(context) {
+        const { tolerance, dimensions } = this.spec(context.productCode);
+        const sigma = tolerance / (3 * this.capability) * context.spread;
+        const offsets = context.offsets || {};
+
+        const measurements = {};
+        let defectType = null;
+
+        Object.entries(dimensions).forEach(([dimension, nominal]) => {
+            const offset = (offsets['*'] || 0) + (offsets[dimension] || 0);
+            const value = nominal + offset + this.gaussian() * sigma;
+            measurements[dimension] = {
+                value: Math.round(value * 10000) / 10000,
+                nominal,
+                lower_limit: Math.round((nominal - tolerance) * 10000) / 10000,
+                upper_limit: Math.round((nominal + tolerance) * 10000) / 10000
+            };
+
+            if (!defectType && Math.abs(value - nominal) > tolerance) {
+                defectType = value > nominal ? 'OVERSIZE' : 'UNDERSIZE';
+            }
+        });
+
+        if (!defectType && this.random() < context.otherDefectRate) {
+            defectType = OTHER_DEFECTS[Math.floor(this.random() * OTHER_DEFECTS.length)];
+        }
+
+        return {
+            timestamp: context.timestamp,
+            serialNumber: `${this.serialPrefix}-${String(context.sequence).padStart(7, '0')}`,
+            machineId: this.machineId,
+            machineType: this.machineType,
+            productCode: context.productCode,
+            measurements,
+            unit: 'mm',
+            verdict: defectType ? 'FAIL' : 'PASS',
+            defectType
+        };
+    }
+}
+
+module.exports = { PartInspector, OTHER_DEFECTS };
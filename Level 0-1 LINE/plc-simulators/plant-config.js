@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PLANT_CONFIG = path.join(__dirname, 'config', 'plant.yml');
+
+function loadPlantConfig(filePath = DEFAULT_PLANT_CONFIG) {
+    const document = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+
+    const plant = {
+        simulation: document.simulation || {},
+        types: document.equipment_types || {},
+        products: document.products || {},
+        materialFlow: document.material_flow || [],
+        machines: []
+    };
+
+    Object.entries(document.equipment || {}).forEach(([machineId, definition]) => {
+        const replicas = definition.replicas || 1;
+
+        if (replicas === 1) {
+            plant.machines.push(buildMachineConfig(plant, machineId, definition));
+            return;
+        }
+
+        // Expand replicated machines into LINE_01_001, LINE_01_002, ...
+        for (let i = 1; i <= replicas; i++) {
+            const suffix = String(i).padStart(3, '0');
+            plant.machines.push(buildMachineConfig(plant, `${machineId}_${suffix}`, {
+                ...definition,
+                topic_prefix: definition.topic_prefix ? `${definition.topic_prefix}_${suffix}` : undefined
+            }));
+        }
+    });
+
+    return plant;
+}
+
+function buildMachineConfig(plant, machineId, definition = {}) {
+    const machineType = definition.type || 'GENERIC';
+    const typeDefaults = plant.types[machineType] || plant.types.GENERIC || {};
+    const setting = (key, fallback) => definition[key] ?? typeDefaults[key] ?? fallback;
+    const capacity = setting('capacity', null);
+
+    return {
+        machineId,
+        machineType,
+        name: definition.name || machineId,
+        area: definition.area || null,
+        topicPrefix: definition.topic_prefix || `${plant.simulation.topic_prefix || 'raw/plc'}/${machineId.toLowerCase()}`,
+        interval: definition.interval || plant.simulation.interval || 2000,
+        baseTemperature: setting('base_temperature', 50),
+        basePressure: setting('base_pressure', 2.5),
+        baseSpeed: setting('base_speed', 80),
+        baseVibration: setting('base_vibration', 2.0),
+        vibrationWear: setting('vibration_wear', 1.0),
+        ratedPower: setting('rated_power', 50),
+        idlePower: setting('idle_power', 5),
+        thermalTimeConstant: setting('thermal_time_constant', 120),
+        rejectRate: setting('reject_rate', 2.0),
+        ambientTemperature: plant.simulation.ambient_temperature ?? 22,
+        capacity: capacity,
+        cycleTime: setting('cycle_time', null) || (capacity ? 3600 / capacity : 5),
+        maintenanceInterval: setting('maintenance_interval', 168),
+        processCapability: setting('process_capability', 1.33),
+        partEvents: setting('part_events', plant.simulation.part_events ?? false),
+        modbusPort: definition.modbus_port || null,
+        products: definition.products || []
+    };
+}
+
+// Single-machine mode kept for existing deployments that set MACHINE_ID/MACHINE_TYPE
+function machineConfigFromEnv(plant) {
+    const machineId = process.env.MACHINE_ID || 'UNKNOWN';
+
+    return buildMachineConfig(plant, machineId, {
+        type: process.env.MACHINE_TYPE || 'GENERIC',
+        topic_prefix: process.env.MQTT_TOPIC_PREFIX,
+        interval: parseInt(process.env.SIMULATION_INTERVAL) || undefined
+    });
+}
+
+module.exports = {
+    DEFAULT_PLANT_CONFIG,
+    loadPlantConfig,
+    buildMachineConfig,
+    machineConfigFromEnv
+};
@@ -0,0 +1,35 @@
+// Deterministic pseudo-random numbers for reproducible simulation runs
+
+function hashString(value) {
+    // FNV-1a, enough to spread machine ids across seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Returns a Math.random-compatible generator. Without a seed the run is not
+// reproducible; with one, every machine gets its own stream so adding a
+// machine to the plant does not change the values of the others.
+function createRandom(seed, streamName = '') {
+    if (seed === undefined || seed === null || seed === '') {
+        return Math.random;
+    }
+    const numericSeed = Number.isFinite(Number(seed)) ? Number(seed) : hashString(String(seed));
+    return mulberry32(numericSeed ^ hashString(streamName));
+}
+
+module.exports = { createRandom, hashString };
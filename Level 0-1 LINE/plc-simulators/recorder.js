@@ -0,0 +1,199 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Recording format: one {topic, payload, receivedAt} object per line. JSON
+// payloads are stored as objects, anything else (e.g. Sparkplug) as base64.
+// The output of SIMULATOR_MODE=generate uses the same format.
+
+function encodeRecord(topic, message, receivedAt) {
+    const record = { topic, receivedAt: new Date(receivedAt).toISOString() };
+    try {
+        record.payload = JSON.parse(message.toString());
+    } catch (error) {
+        record.payloadBase64 = Buffer.from(message).toString('base64');
+    }
+    return JSON.stringify(record) + '\n';
+}
+
+function recordTime(record) {
+    const timestamp = record.payload && record.payload.timestamp;
+    return Date.parse(timestamp || record.receivedAt);
+}
+
+class TrafficRecorder {
+    constructor(client, options) {
+        this.client = client;
+        this.topics = options.topics;
+        this.outputFile = options.outputFile;
+        this.fd = null;
+        this.count = 0;
+    }
+
+    start() {
+        this.fd = fs.openSync(this.outputFile, 'a');
+
+        this.client.on('message', (topic, message) => {
+            fs.writeSync(this.fd, encodeRecord(topic, message, Date.now()));
+            this.count++;
+            if (this.count % 1000 === 0) {
+                console.log(`Recorded ${this.count} message(s)`);
+            }
+        });
+
+        this.client.subscribe(this.topics, { qos: 1 }, (error) => {
+            if (error) {
+                console.error('Error subscribing to record topics:', error);
+            } else {
+                console.log(`Recording ${this.topics.join(', ')} to ${this.outputFile}`);
+            }
+        });
+    }
+
+    stop() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+            console.log(`Recorded ${this.count} message(s) to ${this.outputFile}`);
+        }
+    }
+}
+
+// Turns stored ISA-95 documents from equipment_data back into raw PLC payloads
+function standardizedToRaw(document) {
+    const parameters = (document.process && document.process.parameters) || {};
+    const value = name => (parameters[name] ? parameters[name].value : undefined);
+
+    return {
+        timestamp: document.timestamp,
+        machineId: document.source.equipmentId,
+        machineType: document.source.equipmentClass,
+        sensors: {
+            temperature: value('temperature'),
+            pressure: value('pressure'),
+            speed: value('speed'),
+            vibration: value('vibration'),
+            power_consumption: value('powerConsumption')
+        },
+        status: {
+            state: document.maintenance.currentState,
+            cycle_count: document.equipment.performance.cycleCount,
+            runtime_hours: document.equipment.performance.runtimeHours,
+            last_maintenance_hours: document.maintenance.lastMaintenanceHours,
+            error_code: document.maintenance.errorCode,
+            efficiency: document.equipment.performance.efficiency
+        },
+        quality: document.quality ? {
+            good_parts: document.quality.goodParts,
+            bad_parts: document.quality.badParts,
+            reject_rate: document.quality.rejectRate
+        } : undefined
+    };
+}
+
+async function exportFromMongo(options) {
+    // Only needed for this mode, so loaded lazily
+    const { MongoClient } = require('mongodb');
+    const mongoClient = new MongoClient(options.mongoUrl);
+    await mongoClient.connect();
+
+    const query = {};
+    if (options.from || options.to) {
+        query.timestamp = {};
+        if (options.from) query.timestamp.$gte = new Date(options.from).toISOString();
+        if (options.to) query.timestamp.$lt = new Date(options.to).toISOString();
+    }
+    if (options.equipment.length > 0) {
+        query['source.equipmentId'] = { $in: options.equipment };
+    }
+
+    const fd = fs.openSync(options.outputFile, 'w');
+    let count = 0;
+    try {
+        const cursor = mongoClient.db('uns_data').collection('equipment_data').find(query).sort({ timestamp: 1 });
+        for await (const document of cursor) {
+            const payload = standardizedToRaw(document);
+            const topic = `${options.topicFor(payload.machineId)}/data`;
+            fs.writeSync(fd, JSON.stringify({ topic, payload, receivedAt: document.createdAt }) + '\n');
+            count++;
+        }
+    } finally {
+        fs.closeSync(fd);
+        await mongoClient.close();
+    }
+
+    console.log(`Exported ${count} equipment_data document(s) to ${options.outputFile}`);
+}
+
+class TrafficReplayer {
+    constructor(client, options) {
+        this.client = client;
+        this.inputFile = options.inputFile;
+        this.speed = options.speed;
+        this.timestamps = options.timestamps; // 'preserve' or 'rewrite'
+        this.loop = options.loop;
+        this.stopped = false;
+    }
+
+    async start() {
+        do {
+            await this.replayOnce();
+        } while (this.loop && !this.stopped);
+    }
+
+    async replayOnce() {
+        const input = readline.createInterface({ input: fs.createReadStream(this.inputFile), crlfDelay: Infinity });
+        const replayStart = Date.now();
+        let firstTime = null;
+        let count = 0;
+
+        console.log(`Replaying ${this.inputFile} at ${this.speed}x, timestamps ${this.timestamps === 'rewrite' ? 'rewritten' : 'preserved'}`);
+
+        for await (const line of input) {
+            if (this.stopped) break;
+            if (!line.trim()) continue;
+
+            const record = JSON.parse(line);
+            const originalTime = recordTime(record);
+            if (firstTime === null) firstTime = originalTime;
+
+            // Keep the recorded spacing, compressed by the replay speed
+            const due = replayStart + (originalTime - firstTime) / this.speed;
+            const wait = due - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+
+            await this.publish(record, due);
+            count++;
+        }
+
+        console.log(`Replayed ${count} message(s) in ${Math.round((Date.now() - replayStart) / 1000)}s`);
+    }
+
+    publish(record, due) {
+        let message;
+        if (record.payload !== undefined) {
+            const payload = this.timestamps === 'rewrite' && record.payload.timestamp
+                ? { ...record.payload, timestamp: new Date(due).toISOString() }
+                : record.payload;
+            message = JSON.stringify(payload);
+        } else {
+            message = Buffer.from(record.payloadBase64, 'base64');
+        }
+
+        return new Promise(resolve => {
+            this.client.publish(record.topic, message, { qos: 1 }, (error) => {
+                if (error) {
+                    console.error(`Error replaying message to ${record.topic}:`, error);
+                }
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+module.exports = { TrafficRecorder, TrafficReplayer, exportFromMongo, standardizedToRaw };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const SCENARIO_ACTIONS = ['state', 'set', 'ramp', 'shift', 'drift'];
+const MACHINE_STATES = ['RUNNING', 'IDLE', 'ERROR', 'MAINTENANCE'];
+
+// Accepts plain seconds or strings such as "90s", "5m", "1h"
+function parseDuration(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') return value;
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+
+    const multipliers = { ms: 0.001, s: 1, m: 60, h: 3600 };
+    return parseFloat(match[1]) * multipliers[match[2] || 's'];
+}
+
+function normalizeEvent(event, index) {
+    if (!SCENARIO_ACTIONS.includes(event.action)) {
+        throw new Error(`Scenario event ${index}: unknown action "${event.action}" (expected ${SCENARIO_ACTIONS.join(', ')})`);
+    }
+    if (event.action === 'state' && !MACHINE_STATES.includes(event.state)) {
+        throw new Error(`Scenario event ${index}: unknown state "${event.state}"`);
+    }
+    if ((event.action === 'set' || event.action === 'ramp') && !event.sensor) {
+        throw new Error(`Scenario event ${index}: "${event.action}" requires a sensor`);
+    }
+    if (event.action === 'set' && typeof event.value !== 'number') {
+        throw new Error(`Scenario event ${index}: "set" requires a numeric value`);
+    }
+    if (event.action === 'ramp' && typeof event.to !== 'number') {
+        throw new Error(`Scenario event ${index}: "ramp" requires a numeric "to"`);
+    }
+    if (event.action === 'shift' && typeof event.value !== 'number') {
+        throw new Error(`Scenario event ${index}: "shift" requires a numeric value`);
+    }
+    if (event.action === 'drift' && typeof event.rate !== 'number') {
+        throw new Error(`Scenario event ${index}: "drift" requires a numeric rate`);
+    }
+
+    const machines = [].concat(event.machines || event.machine || '*');
+
+    return {
+        action: event.action,
+        machines,
+        at: parseDuration(event.at) || 0,
+        duration: parseDuration(event.duration),
+        state: event.state,
+        errorCode: event.error_code || null,
+        sensor: event.sensor,
+        dimension: event.dimension || '*',
+        value: event.value,
+        rate: event.rate,
+        to: event.to,
+        over: parseDuration(event.over) || 0
+    };
+}
+
+function loadScenario(filePath) {
+    const document = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+
+    return {
+        name: document.name || filePath,
+        seed: document.seed ?? null,
+        startTime: document.start_time ? Date.parse(document.start_time) : null,
+        duration: parseDuration(document.duration),
+        randomStateChanges: document.random_state_changes !== false,
+        events: (document.events || []).map(normalizeEvent)
+    };
+}
+
+// Per-machine view of the scenario. Evaluated once per sample with the
+// machine's simulated elapsed time, so the result only depends on the
+// scenario and the sample number - never on wall-clock timing. Sensor values
+// of set and ramp are what the machine measures, not a target its process
+// dynamics lag behind.
+class ScenarioTimeline {
+    constructor(scenario, machineId) {
+        this.events = scenario.events
+            .filter(event => event.machines.includes('*') || event.machines.includes(machineId))
+            .map(event => ({ ...event }))
+            .sort((a, b) => a.at - b.at);
+    }
+
+    // currentValues: the machine's sensor readings before this sample
+    overridesAt(seconds, currentValues) {
+        const overrides = { state: null, errorCode: null, sensors: {}, measurements: {} };
+
+        this.events.forEach(event => {
+            const end = event.duration !== null ? event.at + event.duration : Infinity;
+            if (seconds < event.at || seconds >= end) return;
+
+            switch (event.action) {
+                case 'state':
+                    overrides.state = event.state;
+                    overrides.errorCode = event.errorCode;
+                    break;
+                case 'set':
+                    overrides.sensors[event.sensor] = event.value;
+                    break;
+                case 'ramp': {
+                    // Ramp starts from whatever the sensor was doing when the event fired
+                    if (event.from === undefined) {
+                        event.from = overrides.sensors[event.sensor] ?? currentValues[event.sensor] ?? event.to;
+                    }
+                    const progress = event.over > 0 ? Math.min(1, (seconds - event.at) / event.over) : 1;
+                    overrides.sensors[event.sensor] = event.from + (event.to - event.from) * progress;
+                    break;
+                }
+                case 'shift':
+                    // Step change of the measured part dimensions' mean
+                    overrides.measurements[event.dimension] = (overrides.measurements[event.dimension] || 0) + event.value;
+                    break;
+                case 'drift': {
+                    // Mean moves by `rate` per hour since the event fired
+                    const drift = event.rate * (seconds - event.at) / 3600;
+                    overrides.measurements[event.dimension] = (overrides.measurements[event.dimension] || 0) + drift;
+                    break;
+                }
+            }
+        });
+
+        return overrides;
+    }
+
+    // Cuts short events that are active at the given time, e.g. a fault reset by an operator
+    endActive(seconds, predicate) {
+        this.events.forEach(event => {
+            const end = event.duration !== null ? event.at + event.duration : Infinity;
+            if (seconds >= event.at && seconds < end && predicate(event)) {
+                event.duration = seconds - event.at;
+            }
+        });
+    }
+}
+
+module.exports = { loadScenario, parseDuration, ScenarioTimeline };
@@ -0,0 +1,220 @@
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+
+const NAMESPACE = 'spBv1.0';
+
+// Device metrics derived from the JSON payload fields
+const DEVICE_METRICS = [
+    { name: 'Sensors/temperature', type: 'Double', unit: 'celsius', value: data => data.sensors.temperature },
+    { name: 'Sensors/pressure', type: 'Double', unit: 'bar', value: data => data.sensors.pressure },
+    { name: 'Sensors/speed', type: 'Double', unit: 'percent', value: data => data.sensors.speed },
+    { name: 'Sensors/vibration', type: 'Double', unit: 'mm/s', value: data => data.sensors.vibration },
+    { name: 'Sensors/power_consumption', type: 'Double', unit: 'kW', value: data => data.sensors.power_consumption },
+    { name: 'Status/state', type: 'String', value: data => data.status.state },
+    { name: 'Status/cycle_count', type: 'UInt64', value: data => data.status.cycle_count },
+    { name: 'Status/runtime_hours', type: 'Double', unit: 'h', value: data => data.status.runtime_hours },
+    { name: 'Status/last_maintenance_hours', type: 'Double', unit: 'h', value: data => data.status.last_maintenance_hours },
+    { name: 'Status/error_code', type: 'String', value: data => data.status.error_code },
+    { name: 'Status/efficiency', type: 'Double', unit: 'percent', value: data => data.status.efficiency },
+    { name: 'Quality/good_parts', type: 'UInt64', value: data => data.quality.good_parts },
+    { name: 'Quality/bad_parts', type: 'UInt64', value: data => data.quality.bad_parts },
+    { name: 'Quality/reject_rate', type: 'Double', unit: 'percent', value: data => data.quality.reject_rate },
+    { name: 'Properties/machineType', type: 'String', value: data => data.machineType },
+    { name: 'Properties/productCode', type: 'String', value: data => data.productCode }
+];
+
+// Sparkplug B edge node: the simulator process is the node, each machine a device
+class SparkplugEdgeNode {
+    constructor(options) {
+        this.groupId = options.groupId;
+        this.edgeNodeId = options.edgeNodeId;
+        this.client = null;
+
+        this.bdSeq = 0; // birth/death sequence, one per MQTT session
+        this.seq = 0;   // message sequence, 0-255 across all node and device messages
+        this.nextAlias = 2; // 0 and 1 are the node's own metrics
+        this.devices = new Map();
+    }
+
+    topic(messageType, deviceId) {
+        const topic = `${NAMESPACE}/${this.groupId}/${messageType}/${this.edgeNodeId}`;
+        return deviceId ? `${topic}/${deviceId}` : topic;
+    }
+
+    nextSeq() {
+        const seq = this.seq;
+        this.seq = (this.seq + 1) % 256;
+        return seq;
+    }
+
+    // MQTT Last Will, so the broker announces NDEATH if the simulator dies
+    deathCertificate() {
+        return {
+            topic: this.topic('NDEATH'),
+            payload: Buffer.from(sparkplug.encodePayload({
+                timestamp: Date.now(),
+                metrics: [{ name: 'bdSeq', type: 'UInt64', value: this.bdSeq }]
+            })),
+            qos: 1,
+            retain: false
+        };
+    }
+
+    attach(client) {
+        this.client = client;
+    }
+
+    // Called when the connection drops: the next session needs a new bdSeq in its will
+    nextSession() {
+        this.bdSeq = (this.bdSeq + 1) % 256;
+        if (this.client) {
+            this.client.options.will = this.deathCertificate();
+        }
+    }
+
+    registerDevice(deviceId) {
+        const aliases = new Map();
+        DEVICE_METRICS.forEach(metric => {
+            aliases.set(metric.name, this.nextAlias++);
+        });
+        this.devices.set(deviceId, { aliases, lastValues: new Map(), lastData: null, born: false });
+    }
+
+    publish(topic, payload) {
+        this.client.publish(topic, Buffer.from(sparkplug.encodePayload(payload)), { qos: 0 }, (error) => {
+            if (error) {
+                console.error(`Error publishing Sparkplug message to ${topic}:`, error);
+            }
+        });
+    }
+
+    publishNodeBirth() {
+        this.seq = 0;
+        this.publish(this.topic('NBIRTH'), {
+            timestamp: Date.now(),
+            seq: this.nextSeq(),
+            metrics: [
+                { name: 'bdSeq', type: 'UInt64', value: this.bdSeq },
+                { name: 'Node Control/Rebirth', alias: 1, type: 'Boolean', value: false }
+            ]
+        });
+        console.log(`Published Sparkplug NBIRTH for ${this.groupId}/${this.edgeNodeId} (bdSeq ${this.bdSeq})`);
+
+        // A new node birth invalidates every device birth
+        this.devices.forEach((device, deviceId) => {
+            device.born = false;
+            if (device.lastData) {
+                this.publishDeviceBirth(deviceId, device.lastData);
+            }
+        });
+    }
+
+    publishDeviceBirth(deviceId, data) {
+        const device = this.devices.get(deviceId);
+        const timestamp = Date.parse(data.timestamp);
+
+        this.publish(this.topic('DBIRTH', deviceId), {
+            timestamp,
+            seq: this.nextSeq(),
+            metrics: DEVICE_METRICS.map(metric => {
+                const value = metric.value(data) ?? null;
+                device.lastValues.set(metric.name, value);
+                return {
+                    name: metric.name,
+                    alias: device.aliases.get(metric.name),
+                    type: metric.type,
+                    value,
+                    timestamp,
+                    properties: metric.unit ? { engUnit: { type: 'String', value: metric.unit } } : undefined
+                };
+            })
+        });
+        device.born = true;
+        device.lastData = data;
+    }
+
+    publishDeviceData(deviceId, data, historical = false) {
+        const device = this.devices.get(deviceId);
+        if (historical) {
+            this.publishHistoricalData(deviceId, data);
+            return;
+        }
+        if (!device.born) {
+            this.publishDeviceBirth(deviceId, data);
+            return;
+        }
+
+        // Report by exception: only metrics that changed, addressed by alias
+        const timestamp = Date.parse(data.timestamp);
+        const metrics = [];
+        DEVICE_METRICS.forEach(metric => {
+            const value = metric.value(data) ?? null;
+            if (device.lastValues.get(metric.name) !== value) {
+                device.lastValues.set(metric.name, value);
+                metrics.push({ alias: device.aliases.get(metric.name), type: metric.type, value, timestamp });
+            }
+        });
+        device.lastData = data;
+
+        if (metrics.length > 0) {
+            this.publish(this.topic('DDATA', deviceId), { timestamp, seq: this.nextSeq(), metrics });
+        }
+    }
+
+    // Backfilled samples: every metric flagged is_historical, current values left
+    // untouched. After a restart the backlog is replayed before any live sample, so a
+    // device not born yet is born from the first backfilled one.
+    publishHistoricalData(deviceId, data) {
+        const device = this.devices.get(deviceId);
+        if (!device.born) {
+            this.publishDeviceBirth(deviceId, data);
+        }
+
+        const timestamp = Date.parse(data.timestamp);
+        this.publish(this.topic('DDATA', deviceId), {
+            timestamp,
+            seq: this.nextSeq(),
+            metrics: DEVICE_METRICS.map(metric => ({
+                alias: device.aliases.get(metric.name),
+                type: metric.type,
+                value: metric.value(data) ?? null,
+                timestamp,
+                isHistorical: true
+            }))
+        });
+    }
+
+    publishDeviceDeath(deviceId) {
+        const device = this.devices.get(deviceId);
+        if (!device || !device.born) return;
+
+        this.publish(this.topic('DDEATH', deviceId), { timestamp: Date.now(), seq: this.nextSeq() });
+        device.born = false;
+    }
+
+    // Graceful shutdown publishes the will ourselves
+    publishNodeDeath() {
+        const will = this.deathCertificate();
+        this.client.publish(will.topic, will.payload, { qos: will.qos });
+    }
+
+    // A payload that is not Sparkplug B is logged and ignored
+    handleNodeCommand(message) {
+        let payload;
+        try {
+            payload = sparkplug.decodePayload(message);
+        } catch (error) {
+            console.error(`Ignoring invalid Sparkplug NCMD payload: ${error.message}`);
+            return;
+        }
+        // Aliases decode as Long
+        const rebirth = (payload.metrics || []).some(metric =>
+            (metric.name === 'Node Control/Rebirth' || Number(metric.alias) === 1) && metric.value === true);
+
+        if (rebirth) {
+            console.log('Sparkplug rebirth requested');
+            this.publishNodeBirth();
+        }
+    }
+}
+
+module.exports = { SparkplugEdgeNode, DEVICE_METRICS };
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+
+const OVERFLOW_POLICIES = ['drop_oldest', 'drop_newest'];
+
+// Sample time of a buffered entry, falling back to when it was buffered
+function entryTime(entry) {
+    const sample = entry.data || entry.part;
+    return (sample && Date.parse(sample.timestamp)) || entry.bufferedAt;
+}
+
+// Bounded on-disk queue for samples produced while the broker is unreachable.
+// Samples are appended to NDJSON segment files; whole segments are dropped on
+// overflow or expiry and deleted once replayed, so nothing is held in memory
+// and the backlog survives a simulator restart.
+class StoreAndForwardBuffer {
+    constructor(options) {
+        this.directory = options.directory;
+        this.maxBytes = options.maxBytes;
+        this.maxAgeMs = options.maxAgeMs;
+        this.overflowPolicy = options.overflowPolicy || 'drop_oldest';
+        this.segmentBytes = options.segmentBytes || Math.max(16 * 1024, Math.floor(this.maxBytes / 20));
+        this.replayRate = options.replayRate || 200; // samples per second
+
+        if (!OVERFLOW_POLICIES.includes(this.overflowPolicy)) {
+            throw new Error(`Unknown buffer overflow policy "${this.overflowPolicy}" (expected ${OVERFLOW_POLICIES.join(', ')})`);
+        }
+
+        this.segments = []; // oldest first: { file, bytes, lastWrite, first, last } (first/last: sample times)
+        this.segmentCounter = 0;
+        this.draining = false;
+        this.stalled = false; // the last replay failed; the backlog waits for the next one
+        this.dropped = 0;
+        this.unreadable = 0;
+
+        this.init();
+    }
+
+    init() {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        // Pick up a backlog left by a previous run; its last line may be cut short, so
+        // new samples start a fresh segment
+        fs.readdirSync(this.directory)
+            .filter(file => /^segment-\d+\.ndjson$/.test(file))
+            .sort()
+            .forEach(file => {
+                const fullPath = path.join(this.directory, file);
+                const stats = fs.statSync(fullPath);
+                const segment = { file: fullPath, bytes: stats.size, lastWrite: stats.mtimeMs, first: Infinity, last: -Infinity, closed: true };
+                this.readLines(segment).forEach(entry => this.widen(segment, entry));
+                this.segments.push(segment);
+                this.segmentCounter = Math.max(this.segmentCounter, parseInt(file.match(/\d+/)[0]));
+            });
+
+        this.expire();
+        if (this.segments.length > 0) {
+            console.log(`Store-and-forward: found ${this.segments.length} buffered segment(s) in ${this.directory}`);
+        }
+    }
+
+    get isEmpty() {
+        return this.segments.length === 0;
+    }
+
+    get size() {
+        return this.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+    }
+
+    append(entry) {
+        const buffered = { ...entry, bufferedAt: Date.now() };
+        const line = JSON.stringify(buffered) + '\n';
+        const bytes = Buffer.byteLength(line);
+
+        this.expire();
+        if (this.size + bytes > this.maxBytes) {
+            if (this.overflowPolicy === 'drop_newest') {
+                this.dropped++;
+                return false;
+            }
+            while (this.segments.length > 0 && this.size + bytes > this.maxBytes) {
+                this.dropSegment(this.segments[0], 'buffer full');
+            }
+        }
+
+        let segment = this.segments[this.segments.length - 1];
+        if (!segment || segment.closed || segment.bytes + bytes > this.segmentBytes) {
+            segment = this.openSegment();
+        }
+
+        fs.appendFileSync(segment.file, line);
+        segment.bytes += bytes;
+        segment.lastWrite = Date.now();
+        this.widen(segment, buffered);
+        return true;
+    }
+
+    widen(segment, entry) {
+        const time = entryTime(entry);
+        segment.first = Math.min(segment.first, time);
+        segment.last = Math.max(segment.last, time);
+    }
+
+    openSegment() {
+        this.segmentCounter++;
+        const file = path.join(this.directory, `segment-${String(this.segmentCounter).padStart(8, '0')}.ndjson`);
+        const segment = { file, bytes: 0, lastWrite: Date.now(), first: Infinity, last: -Infinity };
+        this.segments.push(segment);
+        return segment;
+    }
+
+    // Segments whose newest sample is older than the max age are discarded whole
+    expire() {
+        const cutoff = Date.now() - this.maxAgeMs;
+        while (this.segments.length > 0 && this.segments[0].lastWrite < cutoff) {
+            this.dropSegment(this.segments[0], 'expired');
+        }
+    }
+
+    dropSegment(segment, reason) {
+        const lines = this.readSegment(segment).length;
+        this.dropped += lines;
+        this.removeSegment(segment);
+        console.warn(`Store-and-forward: dropped ${lines} buffered sample(s) (${reason})`);
+    }
+
+    removeSegment(segment) {
+        this.segments = this.segments.filter(s => s !== segment);
+        fs.rmSync(segment.file, { force: true });
+    }
+
+    // A line cut short (the simulator stopped mid-append) is skipped and counted
+    readSegment(segment) {
+        let unreadable = 0;
+        const entries = this.readLines(segment, () => unreadable++);
+        if (unreadable > 0) {
+            this.unreadable += unreadable;
+            console.warn(`Store-and-forward: skipped ${unreadable} unreadable line(s) in ${segment.file}`);
+        }
+        return entries;
+    }
+
+    readLines(segment, onUnreadable = () => {}) {
+        if (!fs.existsSync(segment.file)) return [];
+        const entries = [];
+        fs.readFileSync(segment.file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .forEach(line => {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    onUnreadable();
+                }
+            });
+        return entries;
+    }
+
+    // The segment holding the oldest sample and every segment whose samples overlap
+    // it in time: the remaining segments only hold later samples
+    nextGroup() {
+        const start = this.segments.reduce((oldest, segment) => (segment.first < oldest.first ? segment : oldest));
+        const group = new Set([start]);
+        let last = start.last;
+        let grown = true;
+        while (grown) {
+            grown = false;
+            this.segments.forEach(segment => {
+                if (!group.has(segment) && segment.first <= last) {
+                    group.add(segment);
+                    last = Math.max(last, segment.last);
+                    grown = true;
+                }
+            });
+        }
+        return this.segments.filter(segment => group.has(segment));
+    }
+
+    // Replays the backlog in timestamp order at a bounded rate, merging segments
+    // whose samples overlap in time (machines sample at different intervals, and a
+    // simulated clock need not follow the order samples were buffered in).
+    // publish(entry) must resolve once the broker accepted the sample and
+    // canPublish() is checked between batches so a new outage stops the replay.
+    // Segments are only deleted after they were fully replayed (at-least-once). When
+    // the replay fails, stalled stays set until a later replay gets through.
+    async drain(publish, canPublish) {
+        if (this.draining) return;
+        this.draining = true;
+        let replayed = 0;
+
+        try {
+            while (this.segments.length > 0 && canPublish()) {
+                this.expire();
+                if (this.segments.length === 0) break;
+                const group = this.nextGroup();
+                group.forEach(segment => {
+                    segment.closed = true; // new samples go to a fresh segment
+                });
+
+                const cutoff = Date.now() - this.maxAgeMs;
+                const entries = group.flatMap(segment => this.readSegment(segment))
+                    .filter(entry => entry.bufferedAt >= cutoff)
+                    .sort((a, b) => entryTime(a) - entryTime(b));
+
+                for (let i = 0; i < entries.length && canPublish(); i += this.replayRate) {
+                    const batchStart = Date.now();
+                    await Promise.all(entries.slice(i, i + this.replayRate).map(publish));
+                    replayed += Math.min(this.replayRate, entries.length - i);
+
+                    const wait = 1000 - (Date.now() - batchStart);
+                    if (wait > 0 && i + this.replayRate < entries.length) {
+                        await new Promise(resolve => setTimeout(resolve, wait));
+                    }
+                }
+
+                if (!canPublish()) break;
+                group.forEach(segment => this.removeSegment(segment));
+            }
+            this.stalled = false;
+        } catch (error) {
+            this.stalled = true;
+            throw error;
+        } finally {
+            this.draining = false;
+        }
+
+        if (replayed > 0) {
+            console.log(`Store-and-forward: replayed ${replayed} buffered sample(s)`);
+        }
+    }
+}
+
+module.exports = { StoreAndForwardBuffer, OVERFLOW_POLICIES };
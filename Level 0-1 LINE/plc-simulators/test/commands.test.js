@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPlantConfig } = require('../plant-config');
+const { createRandom } = require('../random');
+const { PLCSimulator } = require('../simulator');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function createMachine(events = []) {
+    const plant = loadPlantConfig();
+    const published = [];
+    const client = {
+        connected: true,
+        publish(topic, payload, options, callback) {
+            published.push({ topic, message: JSON.parse(payload) });
+            callback();
+        }
+    };
+    const machine = new PLCSimulator(plant.machines.find(config => config.machineId === 'LINE_01'), client, {
+        random: createRandom(3, 'LINE_01'),
+        products: plant.products,
+        startTime: START,
+        scenario: { seed: 3, startTime: START, randomStateChanges: false, events }
+    });
+    return { machine, published };
+}
+
+const command = (machine, name, params) => machine.executeCommand({ command: name, params });
+const run = (machine, samples) => Array.from({ length: samples }, () => machine.generateSensorData()).pop();
+
+test('stop idles the machine until it is started again', () => {
+    const { machine } = createMachine();
+
+    assert.strictEqual(command(machine, 'STOP').status, 'COMPLETED');
+    assert.strictEqual(run(machine, 2).status.state, 'IDLE');
+    assert.strictEqual(command(machine, 'start').status, 'COMPLETED');
+    assert.strictEqual(run(machine, 1).status.state, 'RUNNING');
+});
+
+test('a scripted fault rejects start until it is reset', () => {
+    const { machine } = createMachine([{ at: 0, duration: 600, machines: ['*'], action: 'state', state: 'ERROR', errorCode: 'E002' }]);
+    assert.strictEqual(run(machine, 1).status.error_code, 'E002');
+
+    assert.match(command(machine, 'START').message, /reset the fault first/);
+    assert.strictEqual(command(machine, 'RESET_FAULT').status, 'COMPLETED');
+    assert.strictEqual(run(machine, 1).status.state, 'RUNNING');
+    assert.match(command(machine, 'RESET_FAULT').message, /No active fault/);
+});
+
+test('acknowledging maintenance resets the hours since maintenance', () => {
+    const { machine } = createMachine();
+    run(machine, 100);
+
+    assert.strictEqual(command(machine, 'ACK_MAINTENANCE').status, 'COMPLETED');
+    assert.strictEqual(machine.lastMaintenanceHours, 0);
+});
+
+test('the speed setpoint drives the speed and is range checked', () => {
+    const { machine } = createMachine();
+
+    assert.strictEqual(command(machine, 'SET_SPEED', { speed: '50' }).status, 'COMPLETED');
+    assert.strictEqual(run(machine, 30).sensors.speed, 50);
+    [-1, 101, 'fast', undefined].forEach(speed => {
+        assert.strictEqual(command(machine, 'SET_SPEED', { speed }).status, 'REJECTED');
+    });
+});
+
+test('only configured products can be set', () => {
+    const { machine } = createMachine();
+
+    assert.strictEqual(command(machine, 'SET_PRODUCT', { product: 'PROD_001' }).status, 'COMPLETED');
+    assert.strictEqual(run(machine, 1).productCode, 'PROD_001');
+    assert.match(command(machine, 'SET_PRODUCT', { product: 'PROD_003' }).message, /not configured for LINE_01/);
+    assert.match(command(machine, 'SET_PRODUCT', {}).message, /params.product is required/);
+});
+
+test('every command gets a response with its id on the response topic', () => {
+    const { machine, published } = createMachine();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        machine.handleCommand(Buffer.from(JSON.stringify({ commandId: 'c-1', command: 'STOP' })));
+        machine.handleCommand(Buffer.from(JSON.stringify({ commandId: 'c-2', command: 'SELF_DESTRUCT' })));
+        machine.handleCommand(Buffer.from('{not json'));
+    } finally {
+        console.log = log;
+    }
+
+    assert.ok(published.every(({ topic }) => topic === 'raw/plc/line1/cmd/response'));
+    assert.deepStrictEqual(published.map(({ message }) => [message.commandId, message.status, message.machineId]), [
+        ['c-1', 'COMPLETED', 'LINE_01'],
+        ['c-2', 'REJECTED', 'LINE_01'],
+        [null, 'REJECTED', 'LINE_01']
+    ]);
+    assert.match(published[1].message.message, /Unknown command: SELF_DESTRUCT/);
+    assert.match(published[2].message.message, /Invalid command payload/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPlantConfig } = require('../plant-config');
+const { createRandom } = require('../random');
+const { MaterialBuffer, linkMachines } = require('../material-flow');
+const { PLCSimulator } = require('../simulator');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// Machines of the bundled plant without random state changes, coupled by flows
+function line(machineIds, flows) {
+    const plant = loadPlantConfig();
+    const machines = machineIds.map(machineId => new PLCSimulator(plant.machines.find(machine => machine.machineId === machineId), null, {
+        random: createRandom(1, machineId),
+        products: plant.products,
+        startTime: START,
+        scenario: { seed: 1, startTime: START, randomStateChanges: false, events: [] }
+    }));
+    linkMachines(machines, flows);
+    return machines;
+}
+
+// One sample of every machine per step, each advancing by its own interval
+function run(machines, steps) {
+    const samples = new Map(machines.map(machine => [machine.machineId, []]));
+    for (let i = 0; i < steps; i++) {
+        machines.forEach(machine => samples.get(machine.machineId).push(machine.generateSensorData()));
+    }
+    return samples;
+}
+
+test('a part becomes available downstream after its transit time', () => {
+    const buffer = new MaterialBuffer({ from: 'A', to: 'B', capacity: 2, transitTime: 10 });
+
+    buffer.put(0, 'PROD_001');
+    assert.strictEqual(buffer.hasPartReady(9999), false);
+    assert.strictEqual(buffer.take(9999), null);
+    assert.deepStrictEqual(buffer.take(10000), { ready: 10000, product: 'PROD_001' });
+    assert.strictEqual(buffer.level, 0);
+
+    buffer.put(0);
+    buffer.put(0);
+    assert.ok(buffer.isFull);
+});
+
+test('a part of a product the downstream machine does not make stays on the buffer', () => {
+    const buffer = new MaterialBuffer({ from: 'A', to: 'B', capacity: 10, transitTime: 0 });
+    buffer.put(0, 'PROD_001');
+    buffer.put(0, 'PROD_002');
+
+    assert.strictEqual(buffer.take(0, ['PROD_002', 'PROD_003']), null);
+    assert.strictEqual(buffer.level, 2);
+    assert.strictEqual(buffer.take(0, ['PROD_001']).product, 'PROD_001');
+    assert.strictEqual(buffer.take(0, []).product, 'PROD_002');
+});
+
+test('links one input and one output buffer per machine', () => {
+    const [lineMachine, conveyor, packaging] = line(['LINE_01', 'CONV_01', 'PKG_01'], []);
+    const buffers = linkMachines([lineMachine, conveyor, packaging], [
+        { from: 'LINE_01', to: 'CONV_01', initial_level: 3 },
+        { from: 'CONV_01', to: 'PKG_01' },
+        { from: 'LINE_01', to: 'UNKNOWN' }
+    ]);
+
+    assert.strictEqual(buffers.length, 2);
+    assert.strictEqual(lineMachine.outputBuffer, conveyor.inputBuffer);
+    assert.deepStrictEqual(conveyor.inputBuffer.parts.map(part => part.product), ['PROD_002', 'PROD_002', 'PROD_002']);
+    assert.throws(() => linkMachines([lineMachine, packaging], [{ from: 'LINE_01', to: 'PKG_01' }]), /one input and one output buffer/);
+});
+
+test('downstream runs the product of the parts it takes and blocks upstream when full', () => {
+    const [lineMachine, conveyor] = line(['LINE_01', 'CONV_01'], [{ from: 'LINE_01', to: 'CONV_01', buffer_capacity: 5 }]);
+    conveyor.executeCommand({ command: 'STOP' });
+
+    const samples = run([lineMachine, conveyor], 60);
+    const lineStates = samples.get('LINE_01').map(sample => sample.status.state);
+    assert.strictEqual(samples.get('CONV_01')[0].productCode, 'PROD_001');
+    assert.strictEqual(lineStates[lineStates.length - 1], 'BLOCKED');
+    assert.strictEqual(lineMachine.outputBuffer.level, 5);
+
+    conveyor.executeCommand({ command: 'START' });
+    const conveyorSamples = run([lineMachine, conveyor], 40).get('CONV_01');
+    assert.strictEqual(conveyorSamples[conveyorSamples.length - 1].productCode, 'PROD_002');
+    assert.ok(conveyorSamples[conveyorSamples.length - 1].quality.good_parts > 0);
+});
+
+test('a machine fed a product it does not make is starved, and the line backs up', () => {
+    const [conveyor, packaging] = line(['CONV_01', 'PKG_01'], [{ from: 'CONV_01', to: 'PKG_01', buffer_capacity: 5 }]);
+    conveyor.executeCommand({ command: 'SET_PRODUCT', params: { product: 'PROD_001' } });
+
+    const samples = run([conveyor, packaging], 100);
+    const packagingStates = new Set(samples.get('PKG_01').map(sample => sample.status.state));
+    assert.deepStrictEqual(packagingStates, new Set(['STARVED']));
+    assert.strictEqual(packaging.goodParts + packaging.badParts, 0);
+    assert.strictEqual(samples.get('CONV_01').at(-1).status.state, 'BLOCKED');
+});
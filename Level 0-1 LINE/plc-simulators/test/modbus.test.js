@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ModbusRTU = require('modbus-serial');
+const { loadPlantConfig } = require('../plant-config');
+const { createRandom } = require('../random');
+const { ModbusServer, STATE_CODES } = require('../modbus');
+const { PLCSimulator } = require('../simulator');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function createMachine() {
+    const plant = loadPlantConfig();
+    return new PLCSimulator(plant.machines.find(config => config.machineId === 'LINE_01'), null, {
+        random: createRandom(5, 'LINE_01'),
+        products: plant.products,
+        startTime: START,
+        scenario: { seed: 5, startTime: START, randomStateChanges: false, events: [] }
+    });
+}
+
+const SAMPLE = {
+    sensors: { temperature: -12.3, pressure: 2.95, speed: 85, vibration: 1.27, power_consumption: 48.6 },
+    status: { state: 'ERROR', error_code: 'E004', efficiency: 84.5, cycle_count: 70000, runtime_hours: 12.34, last_maintenance_hours: 7000.5 },
+    quality: { good_parts: 69000, bad_parts: 1000, reject_rate: 1.43 }
+};
+
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+test('maps the latest sample onto scaled input registers', () => {
+    const server = new ModbusServer(createMachine(), { port: 0 });
+    server.update(SAMPLE);
+    const read = address => server.readInputRegister(address);
+
+    assert.strictEqual(read(0), 0x10000 - 123); // signed temperature × 10
+    assert.deepStrictEqual([read(1), read(2), read(3), read(4)], [295, 85, 127, 486]);
+    assert.deepStrictEqual([read(5), read(6), read(7)], [STATE_CODES.indexOf('ERROR'), 4, 8450]);
+    // 32-bit counters, high word first
+    assert.deepStrictEqual([read(8), read(9)], [1, 70000 - 0x10000]);
+    assert.strictEqual(read(15) * 0x10000 + read(16), 123);
+    assert.strictEqual(server.readHoldingRegister(100 + 2), 85);
+    assert.throws(() => read(19), error => error.modbusErrorCode === 0x02);
+});
+
+test('discrete inputs and the run coil reflect the machine', () => {
+    const machine = createMachine();
+    const server = new ModbusServer(machine, { port: 0 });
+    machine.machineState = 'STARVED';
+
+    assert.deepStrictEqual(STATE_CODES.map((state, address) => server.readDiscreteInput(address)),
+        STATE_CODES.map(state => state === 'STARVED'));
+    assert.strictEqual(server.readCoil(0), true);
+    assert.strictEqual(server.readHoldingRegister(0), 85);
+});
+
+test('writes run the machine commands and rejected ones raise a Modbus exception', () => {
+    const machine = createMachine();
+    const server = new ModbusServer(machine, { port: 0 });
+
+    quietly(() => {
+        server.writeCoil(0, false);
+        assert.strictEqual(machine.operatorStopped, true);
+        server.writeRegister(1, 1); // START
+        assert.strictEqual(machine.operatorStopped, false);
+        server.writeRegister(0, 40);
+        assert.strictEqual(machine.speedSetpoint, 40);
+
+        assert.throws(() => server.writeRegister(0, 150), error => error.modbusErrorCode === 0x03);
+        assert.throws(() => server.writeRegister(1, 9), /Unknown command code 9/);
+        assert.throws(() => server.writeCoil(1, true), /No active fault/);
+        assert.throws(() => server.writeCoil(7, true), error => error.modbusErrorCode === 0x02);
+    });
+});
+
+test('serves a Modbus TCP client', async () => {
+    const machine = createMachine();
+    const port = 15000 + Math.floor(Math.random() * 5000);
+    const server = new ModbusServer(machine, { port, host: '127.0.0.1' });
+    const client = new ModbusRTU();
+    const [log, error] = [console.log, console.error];
+    console.log = console.error = () => {};
+
+    try {
+        server.start();
+        server.update(SAMPLE);
+        await client.connectTCP('127.0.0.1', { port });
+        client.setTimeout(2000);
+
+        assert.deepStrictEqual((await client.readInputRegisters(1, 4)).data, [295, 85, 127, 486]);
+        assert.deepStrictEqual((await client.readHoldingRegisters(101, 2)).data, [295, 85]);
+        await client.writeRegister(0, 60);
+        assert.strictEqual(machine.speedSetpoint, 60);
+        await assert.rejects(client.writeRegister(0, 200), error => error.modbusCode === 3);
+    } finally {
+        await new Promise(resolve => client.close(resolve));
+        server.stop();
+        [console.log, console.error] = [log, error];
+    }
+});
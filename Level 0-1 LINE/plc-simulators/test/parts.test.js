@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPlantConfig } = require('../plant-config');
+const { createRandom } = require('../random');
+const { PartInspector, OTHER_DEFECTS } = require('../parts');
+const { PLCSimulator } = require('../simulator');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function createInspector(capability = 1.33) {
+    return new PartInspector({
+        machineId: 'LINE_01',
+        machineType: 'PRODUCTION_LINE',
+        products: loadPlantConfig().products,
+        capability,
+        random: createRandom(11, 'LINE_01'),
+        runStart: START
+    });
+}
+
+const inspect = (inspector, context = {}) => inspector.inspect({
+    timestamp: '2026-01-01T00:00:00.000Z', sequence: 1, productCode: 'PROD_001', spread: 1, otherDefectRate: 0, ...context
+});
+
+test('measures every dimension of the product against its tolerance', () => {
+    const part = inspect(createInspector(), { sequence: 42 });
+
+    assert.strictEqual(part.serialNumber, `LINE_01-${START.toString(36).toUpperCase()}-0000042`);
+    assert.deepStrictEqual(Object.keys(part.measurements), ['length', 'diameter']);
+    const { value, ...limits } = part.measurements.length;
+    assert.deepStrictEqual(limits, { nominal: 120, lower_limit: 119.99, upper_limit: 120.01 });
+    assert.ok(Math.abs(value - 120) < 0.05, `length ${value}`);
+    assert.strictEqual(part.unit, 'mm');
+});
+
+test('an unknown product falls back to the default dimensions and tolerance', () => {
+    const part = inspect(createInspector(), { productCode: 'PROD_999' });
+
+    assert.deepStrictEqual(Object.keys(part.measurements), ['length']);
+    assert.strictEqual(part.measurements.length.upper_limit, 100.05);
+});
+
+test('the spread follows the process capability', () => {
+    const inspector = createInspector(1);
+    const deviations = Array.from({ length: 2000 }, (_, i) => inspect(inspector, { sequence: i }).measurements.length.value - 120);
+    const sigma = Math.sqrt(deviations.reduce((sum, deviation) => sum + deviation * deviation, 0) / deviations.length);
+
+    // Cpk 1: the tolerance is three standard deviations
+    assert.ok(Math.abs(sigma - 0.01 / 3) < 0.0003, `sigma ${sigma}`);
+    const failed = deviations.filter(deviation => Math.abs(deviation) > 0.01).length;
+    assert.ok(failed > 0 && failed < 30, `${failed} out of tolerance`);
+});
+
+test('a shifted dimension fails parts as oversize or undersize', () => {
+    const inspector = createInspector();
+
+    const oversize = inspect(inspector, { offsets: { length: 0.05 } });
+    assert.deepStrictEqual([oversize.verdict, oversize.defectType], ['FAIL', 'OVERSIZE']);
+    const undersize = inspect(inspector, { offsets: { '*': -0.05 } });
+    assert.deepStrictEqual([undersize.verdict, undersize.defectType], ['FAIL', 'UNDERSIZE']);
+    assert.strictEqual(inspect(inspector).verdict, 'PASS');
+});
+
+test('other defects fail parts whose dimensions are in tolerance', () => {
+    const part = inspect(createInspector(), { otherDefectRate: 1 });
+
+    assert.strictEqual(part.verdict, 'FAIL');
+    assert.ok(OTHER_DEFECTS.includes(part.defectType));
+});
+
+test('with part events the inspection verdict decides the part counters', () => {
+    const plant = loadPlantConfig();
+    const machine = new PLCSimulator({ ...plant.machines.find(config => config.machineId === 'LINE_01'), partEvents: true }, null, {
+        random: createRandom(11, 'LINE_01'),
+        products: plant.products,
+        startTime: START,
+        scenario: { seed: 11, startTime: START, randomStateChanges: false, events: [] }
+    });
+
+    const parts = [];
+    let sample;
+    for (let i = 0; i < 300; i++) {
+        sample = machine.generateSensorData();
+        parts.push(...machine.takePartEvents());
+    }
+
+    assert.strictEqual(parts.length, sample.status.cycle_count);
+    assert.strictEqual(parts.filter(part => part.verdict === 'FAIL').length, sample.quality.bad_parts);
+    assert.ok(parts.every(part => part.productCode === sample.productCode));
+    assert.strictEqual(new Set(parts.map(part => part.serialNumber)).size, parts.length);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlantConfig, machineConfigFromEnv } = require('../plant-config');
+
+function writePlant(content) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'plant-')), 'plant.yml');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+const PLANT = `
+simulation:
+  interval: 1000
+  topic_prefix: "raw/test"
+  ambient_temperature: 18
+equipment_types:
+  OVEN:
+    base_temperature: 180
+    capacity: 600
+  GENERIC:
+    base_temperature: 40
+equipment:
+  OVEN_01:
+    type: OVEN
+    base_temperature: 200
+    products: [BREAD]
+  PRESS:
+    type: PRESS
+    replicas: 2
+    topic_prefix: "raw/test/press"
+    interval: 500
+`;
+
+test('machine settings come from the machine, then its type, then the defaults', () => {
+    const plant = loadPlantConfig(writePlant(PLANT));
+    const oven = plant.machines.find(machine => machine.machineId === 'OVEN_01');
+
+    assert.strictEqual(oven.baseTemperature, 200);
+    assert.strictEqual(oven.capacity, 600);
+    assert.strictEqual(oven.cycleTime, 6); // 3600 / capacity
+    assert.strictEqual(oven.basePressure, 2.5);
+    assert.strictEqual(oven.interval, 1000);
+    assert.strictEqual(oven.ambientTemperature, 18);
+    assert.strictEqual(oven.topicPrefix, 'raw/test/oven_01');
+    assert.deepStrictEqual(oven.products, ['BREAD']);
+});
+
+test('replicas are expanded with numbered ids and topics, falling back to the generic type', () => {
+    const plant = loadPlantConfig(writePlant(PLANT));
+    const presses = plant.machines.filter(machine => machine.machineId.startsWith('PRESS'));
+
+    assert.deepStrictEqual(presses.map(machine => [machine.machineId, machine.topicPrefix, machine.interval]), [
+        ['PRESS_001', 'raw/test/press_001', 500],
+        ['PRESS_002', 'raw/test/press_002', 500]
+    ]);
+    assert.strictEqual(presses[0].baseTemperature, 40);
+});
+
+test('the bundled plant defines machines, products and the material flow', () => {
+    const plant = loadPlantConfig();
+
+    assert.deepStrictEqual(plant.machines.map(machine => machine.machineId), ['LINE_01', 'PKG_01', 'CONV_01']);
+    assert.ok(plant.machines.every(machine => machine.cycleTime > 0 && machine.products.length > 0));
+    assert.strictEqual(plant.materialFlow.length, 2);
+});
+
+test('single-machine mode reads the machine from the environment', () => {
+    const saved = process.env;
+    process.env = { ...saved };
+    Object.assign(process.env, { MACHINE_ID: 'CNC_07', MACHINE_TYPE: 'OVEN', MQTT_TOPIC_PREFIX: 'raw/cnc7', SIMULATION_INTERVAL: '750' });
+    try {
+        const machine = machineConfigFromEnv(loadPlantConfig(writePlant(PLANT)));
+        assert.deepStrictEqual([machine.machineId, machine.machineType, machine.topicPrefix, machine.interval, machine.baseTemperature],
+            ['CNC_07', 'OVEN', 'raw/cnc7', 750, 180]);
+    } finally {
+        process.env = saved;
+    }
+});
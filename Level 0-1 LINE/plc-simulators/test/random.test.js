@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRandom, hashString } = require('../random');
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('a seed and stream always give the same numbers in [0, 1)', () => {
+    const numbers = draw(createRandom(42, 'LINE_01'), 1000);
+
+    assert.deepStrictEqual(numbers, draw(createRandom(42, 'LINE_01'), 1000));
+    assert.ok(numbers.every(number => number >= 0 && number < 1));
+    const mean = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.05, `mean ${mean}`);
+});
+
+test('every machine draws from its own stream', () => {
+    assert.notDeepStrictEqual(draw(createRandom(42, 'LINE_01'), 10), draw(createRandom(42, 'PKG_01'), 10));
+    assert.notDeepStrictEqual(draw(createRandom(42, 'LINE_01'), 10), draw(createRandom(43, 'LINE_01'), 10));
+});
+
+test('a text seed is hashed, and numeric text counts as the number', () => {
+    assert.deepStrictEqual(draw(createRandom('42', 'LINE_01'), 10), draw(createRandom(42, 'LINE_01'), 10));
+    assert.deepStrictEqual(draw(createRandom('night-shift'), 10), draw(createRandom(hashString('night-shift')), 10));
+});
+
+test('without a seed the run is not reproducible', () => {
+    [undefined, null, ''].forEach(seed => assert.strictEqual(createRandom(seed, 'LINE_01'), Math.random));
+});
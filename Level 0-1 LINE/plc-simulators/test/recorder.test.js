@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { TrafficRecorder, TrafficReplayer, standardizedToRaw } = require('../recorder');
+
+const tempFile = name => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'recording-')), name);
+
+// Delivers messages like a subscribed client and records what is published
+function createClient() {
+    const client = new EventEmitter();
+    client.published = [];
+    client.subscribe = (topics, options, callback) => callback(null);
+    client.publish = (topic, message, options, callback) => {
+        client.published.push({ topic, message, at: Date.now() });
+        callback(null);
+    };
+    return client;
+}
+
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    return Promise.resolve().then(fn).finally(() => {
+        console.log = log;
+    });
+}
+
+test('records JSON payloads as objects and anything else as base64', async () => {
+    const outputFile = tempFile('traffic.ndjson');
+    const client = createClient();
+    const recorder = new TrafficRecorder(client, { topics: ['raw/#'], outputFile });
+
+    await quietly(() => {
+        recorder.start();
+        client.emit('message', 'raw/plc/line1/data', Buffer.from('{"timestamp":"2026-01-01T00:00:00.000Z","machineId":"LINE_01"}'));
+        client.emit('message', 'spBv1.0/Plant1/DDATA/LINE_01/CNC_01', Buffer.from([0x08, 0x01]));
+        recorder.stop();
+    });
+
+    const records = fs.readFileSync(outputFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(records[0].payload, { timestamp: '2026-01-01T00:00:00.000Z', machineId: 'LINE_01' });
+    assert.strictEqual(records[1].payloadBase64, 'CAE=');
+    assert.strictEqual(recorder.count, 2);
+});
+
+test('replays a recording with its spacing compressed by the speed', async () => {
+    const inputFile = tempFile('traffic.ndjson');
+    fs.writeFileSync(inputFile, [
+        { topic: 'raw/a', payload: { timestamp: '2026-01-01T00:00:00.000Z', value: 1 } },
+        { topic: 'raw/b', payload: { timestamp: '2026-01-01T00:00:10.000Z', value: 2 } },
+        { topic: 'spBv1.0/x', payloadBase64: 'CAE=', receivedAt: '2026-01-01T00:00:20.000Z' }
+    ].map(record => JSON.stringify(record)).join('\n') + '\n\n');
+    const client = createClient();
+    const replayer = new TrafficReplayer(client, { inputFile, speed: 100, timestamps: 'preserve', loop: false });
+
+    await quietly(() => replayer.start());
+
+    const [a, b, c] = client.published;
+    assert.deepStrictEqual(client.published.map(message => message.topic), ['raw/a', 'raw/b', 'spBv1.0/x']);
+    // 10 s and 20 s apart in the recording, 100 ms and 200 ms at 100x
+    assert.ok(b.at - a.at >= 80 && c.at - a.at >= 180 && c.at - a.at < 1000, `spacing ${b.at - a.at} ms, ${c.at - a.at} ms`);
+    assert.strictEqual(JSON.parse(b.message).timestamp, '2026-01-01T00:00:10.000Z');
+    assert.deepStrictEqual(c.message, Buffer.from([0x08, 0x01]));
+});
+
+test('rewritten timestamps are the replay times', async () => {
+    const inputFile = tempFile('traffic.ndjson');
+    fs.writeFileSync(inputFile, JSON.stringify({ topic: 'raw/a', payload: { timestamp: '2020-01-01T00:00:00.000Z' } }) + '\n');
+    const client = createClient();
+    const started = Date.now();
+
+    await quietly(() => new TrafficReplayer(client, { inputFile, speed: 1, timestamps: 'rewrite', loop: false }).start());
+
+    const timestamp = Date.parse(JSON.parse(client.published[0].message).timestamp);
+    assert.ok(timestamp >= started && timestamp <= Date.now());
+});
+
+test('turns a stored ISA-95 document back into a raw PLC payload', () => {
+    const raw = standardizedToRaw({
+        timestamp: '2026-01-01T00:00:00.000Z',
+        source: { equipmentId: 'LINE_01', equipmentClass: 'PRODUCTION_LINE' },
+        process: { parameters: { temperature: { value: 70.1, unit: 'Cel' }, powerConsumption: { value: 40, unit: 'kW' } } },
+        equipment: { performance: { cycleCount: 10, runtimeHours: 1.5, efficiency: 85 } },
+        maintenance: { currentState: 'RUNNING', lastMaintenanceHours: 12, errorCode: null },
+        quality: { goodParts: 9, badParts: 1, rejectRate: 10 }
+    });
+
+    assert.deepStrictEqual(raw, {
+        timestamp: '2026-01-01T00:00:00.000Z',
+        machineId: 'LINE_01',
+        machineType: 'PRODUCTION_LINE',
+        sensors: { temperature: 70.1, pressure: undefined, speed: undefined, vibration: undefined, power_consumption: 40 },
+        status: { state: 'RUNNING', cycle_count: 10, runtime_hours: 1.5, last_maintenance_hours: 12, error_code: null, efficiency: 85 },
+        quality: { good_parts: 9, bad_parts: 1, reject_rate: 10 }
+    });
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlantConfig } = require('../plant-config');
+const { createRandom } = require('../random');
+const { loadScenario, parseDuration, ScenarioTimeline } = require('../scenario');
+const { PLCSimulator } = require('../simulator');
+
+const FAULT_SCENARIO = path.join(__dirname, '..', 'scenarios', 'line1-fault.yml');
+
+function writeScenario(content) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-')), 'scenario.yml');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+// Runs a machine of the bundled plant through a scenario, one sample per interval
+function run(machineId, scenario, samples) {
+    const plant = loadPlantConfig();
+    const config = plant.machines.find(machine => machine.machineId === machineId);
+    const machine = new PLCSimulator(config, null, {
+        random: createRandom(scenario.seed, machineId),
+        products: plant.products,
+        startTime: scenario.startTime,
+        scenario
+    });
+    return Array.from({ length: samples }, () => machine.generateSensorData());
+}
+
+test('parses durations in seconds', () => {
+    assert.strictEqual(parseDuration(90), 90);
+    assert.strictEqual(parseDuration('90s'), 90);
+    assert.strictEqual(parseDuration('5m'), 300);
+    assert.strictEqual(parseDuration('1.5h'), 5400);
+    assert.strictEqual(parseDuration('250ms'), 0.25);
+    assert.strictEqual(parseDuration(undefined), null);
+    assert.throws(() => parseDuration('soon'), /Invalid duration/);
+});
+
+test('rejects events without the numbers they act with when the scenario is loaded', () => {
+    const events = [
+        ['action: ramp\n    sensor: temperature\n    to: "95"', /"ramp" requires a numeric "to"/],
+        ['action: ramp\n    sensor: temperature', /"ramp" requires a numeric "to"/],
+        ['action: set\n    sensor: pressure\n    value: high', /"set" requires a numeric value/],
+        ['action: shift\n    value: "0.1"', /"shift" requires a numeric value/],
+        ['action: drift', /"drift" requires a numeric rate/],
+        ['action: set\n    value: 3', /"set" requires a sensor/],
+        ['action: state\n    state: BROKEN', /unknown state "BROKEN"/],
+        ['action: explode', /unknown action "explode"/]
+    ];
+    events.forEach(([event, error]) => {
+        assert.throws(() => loadScenario(writeScenario(`events:\n  - at: 10s\n    ${event}\n`)), error);
+    });
+});
+
+test('applies events to the machines they target while they are active', () => {
+    const scenario = loadScenario(writeScenario([
+        'events:',
+        '  - { at: 10s, duration: 20s, machine: LINE_01, action: state, state: ERROR, error_code: E003 }',
+        '  - { at: 0, machines: [LINE_01, CONV_01], action: set, sensor: vibration, value: 7 }',
+        '  - { at: 60s, action: shift, dimension: length, value: 0.004 }'
+    ].join('\n')));
+    const timeline = new ScenarioTimeline(scenario, 'LINE_01');
+
+    assert.strictEqual(timeline.overridesAt(9, {}).state, null);
+    assert.deepStrictEqual(timeline.overridesAt(10, {}), { state: 'ERROR', errorCode: 'E003', sensors: { vibration: 7 }, measurements: {} });
+    assert.strictEqual(timeline.overridesAt(30, {}).state, null);
+    assert.deepStrictEqual(timeline.overridesAt(60, {}).measurements, { length: 0.004 });
+    assert.deepStrictEqual(new ScenarioTimeline(scenario, 'PKG_01').overridesAt(10, {}).sensors, {});
+});
+
+test('a ramp starts from the current reading and ends at its target', () => {
+    const scenario = loadScenario(writeScenario('events:\n  - { at: 100s, over: 100s, action: ramp, sensor: temperature, to: 95 }\n'));
+    const timeline = new ScenarioTimeline(scenario, 'LINE_01');
+
+    assert.strictEqual(timeline.overridesAt(100, { temperature: 65 }).sensors.temperature, 65);
+    assert.strictEqual(timeline.overridesAt(150, { temperature: 70 }).sensors.temperature, 80);
+    assert.strictEqual(timeline.overridesAt(200, { temperature: 90 }).sensors.temperature, 95);
+    assert.strictEqual(timeline.overridesAt(500, { temperature: 90 }).sensors.temperature, 95);
+});
+
+test('the scripted temperature ramp reaches its target in the published readings', () => {
+    const scenario = loadScenario(FAULT_SCENARIO);
+    // 2 s samples: the ramp runs from 300 s to 600 s and holds until 720 s
+    const temperatures = run('LINE_01', scenario, 400).map(sample => sample.sensors.temperature);
+    const at = seconds => temperatures[seconds / 2];
+
+    // The ramp starts where the machine cooled to during the fault before it
+    assert.ok(Math.abs(at(300) - at(298)) < 1, `start of the ramp ${at(300)}`);
+    const halfWay = (at(300) + 95) / 2;
+    assert.ok(Math.abs(at(450) - halfWay) < 1, `half way ${at(450)}, expected ${halfWay}`);
+    [600, 650, 718].forEach(seconds => assert.ok(Math.abs(at(seconds) - 95) < 1, `at ${seconds}s ${at(seconds)}`));
+    // After the event the process cools back towards its operating temperature
+    assert.ok(at(798) < at(718) - 5, `after the event ${at(798)}`);
+});
+
+test('a seeded scenario produces the same samples every run', () => {
+    const scenario = loadScenario(FAULT_SCENARIO);
+
+    assert.deepStrictEqual(run('LINE_01', scenario, 150), run('LINE_01', scenario, 150));
+    const states = run('LINE_01', scenario, 150).map(sample => sample.status.state);
+    assert.strictEqual(states[59], 'RUNNING');
+    assert.ok(states.slice(60, 105).every(state => state === 'ERROR'));
+    assert.strictEqual(states[105], 'RUNNING');
+});
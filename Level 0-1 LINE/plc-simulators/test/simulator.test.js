@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPlantConfig } = require('../plant-config');
+const { createRandom } = require('../random');
+const { PLCSimulator } = require('../simulator');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// A machine of the bundled plant without random state changes, optionally with scripted events
+function createMachine(machineId, events = []) {
+    const plant = loadPlantConfig();
+    return new PLCSimulator(plant.machines.find(machine => machine.machineId === machineId), null, {
+        random: createRandom(7, machineId),
+        products: plant.products,
+        startTime: START,
+        scenario: { seed: 7, startTime: START, randomStateChanges: false, events }
+    });
+}
+
+const run = (machine, samples) => Array.from({ length: samples }, () => machine.generateSensorData());
+const stateEvent = (at, duration, state) => ({ at, duration, machines: ['*'], action: 'state', state });
+
+test('stamps samples with the simulated clock', () => {
+    const samples = run(createMachine('LINE_01'), 3);
+
+    assert.deepStrictEqual(samples.map(sample => sample.timestamp), [
+        '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:02.000Z', '2026-01-01T00:00:04.000Z'
+    ]);
+});
+
+test('part counters only grow, by the cycle time at the current speed', () => {
+    const machine = createMachine('LINE_01');
+    const samples = run(machine, 1800); // one hour
+    const last = samples[samples.length - 1];
+
+    samples.slice(1).forEach((sample, i) => {
+        assert.ok(sample.quality.good_parts >= samples[i].quality.good_parts);
+        assert.ok(sample.quality.bad_parts >= samples[i].quality.bad_parts);
+    });
+    assert.strictEqual(last.quality.good_parts + last.quality.bad_parts, last.status.cycle_count);
+    // 3.6 s ideal cycle at 85 % speed
+    assert.ok(Math.abs(last.status.cycle_count - 3600 * 0.85 / 3.6) <= 2, `${last.status.cycle_count} cycles`);
+    assert.ok(last.quality.reject_rate > 0 && last.quality.reject_rate < 5, `reject rate ${last.quality.reject_rate}`);
+    assert.strictEqual(last.status.runtime_hours, 1);
+});
+
+test('a stopped machine coasts down, cools towards ambient and makes no parts', () => {
+    const machine = createMachine('LINE_01', [stateEvent(60, 900, 'ERROR')]);
+    const samples = run(machine, 480);
+    const at = seconds => samples[seconds / 2];
+
+    assert.ok(at(58).sensors.temperature > 68, `running at ${at(58).sensors.temperature}`);
+    assert.strictEqual(at(62).status.state, 'ERROR');
+    assert.ok(at(120).sensors.speed < 1, `speed ${at(120).sensors.speed}`);
+    // 180 s thermal time constant: within ~2 °C of ambient after 10 minutes
+    assert.ok(at(660).sensors.temperature < 25, `after 10 minutes ${at(660).sensors.temperature}`);
+    assert.strictEqual(at(900).status.cycle_count, at(62).status.cycle_count);
+    assert.ok(Math.abs(at(900).sensors.power_consumption - 8) < 0.1, `idle power ${at(900).sensors.power_consumption}`);
+});
+
+test('maintenance vents the pressure, cuts the power and resets the hours since maintenance', () => {
+    const machine = createMachine('LINE_01', [stateEvent(600, 120, 'MAINTENANCE')]);
+    const samples = run(machine, 400);
+    const at = seconds => samples[seconds / 2];
+
+    assert.ok(at(598).status.last_maintenance_hours > 0.16);
+    assert.strictEqual(at(700).status.last_maintenance_hours, 0);
+    assert.ok(at(718).sensors.pressure < 0.5, `pressure ${at(718).sensors.pressure}`);
+    assert.strictEqual(at(718).sensors.power_consumption, 0);
+    assert.ok(at(798).sensors.pressure > 2.5, `pressure after ${at(798).sensors.pressure}`);
+});
+
+test('vibration grows with the hours since maintenance', () => {
+    const fresh = createMachine('LINE_01');
+    const worn = createMachine('LINE_01');
+    worn.lastMaintenanceHours = 168; // one maintenance interval
+
+    const mean = samples => samples.reduce((sum, sample) => sum + sample.sensors.vibration, 0) / samples.length;
+    const ratio = mean(run(worn, 50)) / mean(run(fresh, 50));
+    // vibration_wear 1.0: twice the vibration after one interval
+    assert.ok(Math.abs(ratio - 2) < 0.1, `ratio ${ratio}`);
+});
+
+test('an overheating process scraps more parts', () => {
+    const machine = createMachine('LINE_01');
+
+    const normal = machine.getRejectProbability();
+    machine.temperature = machine.config.baseTemperature + 10;
+    assert.strictEqual(machine.getRejectProbability(), normal * 2);
+});
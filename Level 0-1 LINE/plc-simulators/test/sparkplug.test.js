@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+const { SparkplugEdgeNode } = require('../sparkplug');
+
+function createNode() {
+    const node = new SparkplugEdgeNode({ groupId: 'Plant1', edgeNodeId: 'LINE_01' });
+    const published = [];
+    node.attach({
+        options: {},
+        publish(topic, payload) {
+            published.push({ topic, payload: sparkplug.decodePayload(payload) });
+        }
+    });
+    return { node, published };
+}
+
+const command = metric => Buffer.from(sparkplug.encodePayload({ timestamp: Date.now(), metrics: [metric] }));
+
+test('a rebirth addressed by alias only is honoured after the decode round trip', () => {
+    const { node, published } = createNode();
+    const payload = command({ alias: 1, type: 'Boolean', value: true });
+    assert.strictEqual(typeof sparkplug.decodePayload(payload).metrics[0].alias, 'object'); // Long
+
+    node.handleNodeCommand(payload);
+
+    assert.deepStrictEqual(published.map(message => message.topic), ['spBv1.0/Plant1/NBIRTH/LINE_01']);
+});
+
+test('a rebirth addressed by name is honoured', () => {
+    const { node, published } = createNode();
+
+    node.handleNodeCommand(command({ name: 'Node Control/Rebirth', type: 'Boolean', value: true }));
+
+    assert.strictEqual(published.length, 1);
+});
+
+test('other commands and invalid payloads do not rebirth', () => {
+    const { node, published } = createNode();
+
+    node.handleNodeCommand(command({ alias: 2, type: 'Boolean', value: true }));
+    node.handleNodeCommand(command({ alias: 1, type: 'Boolean', value: false }));
+    node.handleNodeCommand(Buffer.from('not protobuf'));
+
+    assert.deepStrictEqual(published, []);
+});
+
+test('device data carries only the changed metrics, by alias', () => {
+    const { node, published } = createNode();
+    const data = {
+        timestamp: '2026-10-19T08:00:00.000Z',
+        machineType: 'CNC',
+        productCode: 'PROD_001',
+        sensors: { temperature: 61.5, pressure: 2.1, speed: 80, vibration: 1.2, power_consumption: 12 },
+        status: { state: 'RUNNING', cycle_count: 10, runtime_hours: 1.5, last_maintenance_hours: 100, error_code: '', efficiency: 92 },
+        quality: { good_parts: 9, bad_parts: 1, reject_rate: 10 }
+    };
+    node.registerDevice('CNC_01');
+    node.publishDeviceData('CNC_01', data);
+    node.publishDeviceData('CNC_01', { ...data, sensors: { ...data.sensors, temperature: 62 } });
+
+    assert.deepStrictEqual(published.map(message => message.topic), [
+        'spBv1.0/Plant1/DBIRTH/LINE_01/CNC_01',
+        'spBv1.0/Plant1/DDATA/LINE_01/CNC_01'
+    ]);
+    const [metric] = published[1].payload.metrics;
+    assert.strictEqual(published[1].payload.metrics.length, 1);
+    assert.strictEqual(Number(metric.alias), Number(published[0].payload.metrics.find(birth => birth.name === 'Sensors/temperature').alias));
+    assert.strictEqual(metric.value, 62);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StoreAndForwardBuffer } = require('../store-forward');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function createBuffer(directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buffer-')), options = {}) {
+    return new StoreAndForwardBuffer({ directory, maxBytes: 1024 * 1024, maxAgeMs: 24 * 3600 * 1000, segmentBytes: 400, ...options });
+}
+
+const sample = (machineId, seconds) => ({ machineId, data: { timestamp: new Date(START + seconds * 1000).toISOString() } });
+
+// Quietly, like a connected client that accepts every sample
+async function drain(buffer) {
+    const published = [];
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await buffer.drain(async entry => published.push(`${entry.machineId}@${(Date.parse(entry.data.timestamp) - START) / 1000}`), () => true);
+    } finally {
+        console.log = log;
+    }
+    return published;
+}
+
+test('replays samples in timestamp order across segment files', async () => {
+    const buffer = createBuffer();
+    // A machine on a slower simulated clock buffers its older samples later
+    [0, 10, 20, 30, 40, 50].forEach(seconds => buffer.append(sample('LINE_01', seconds)));
+    [5, 15, 25, 35].forEach(seconds => buffer.append(sample('PKG_01', seconds)));
+    buffer.append(sample('LINE_01', 60));
+    assert.ok(buffer.segments.length > 2);
+
+    assert.deepStrictEqual(await drain(buffer), [
+        'LINE_01@0', 'PKG_01@5', 'LINE_01@10', 'PKG_01@15', 'LINE_01@20', 'PKG_01@25',
+        'LINE_01@30', 'PKG_01@35', 'LINE_01@40', 'LINE_01@50', 'LINE_01@60'
+    ]);
+    assert.ok(buffer.isEmpty);
+    assert.deepStrictEqual(fs.readdirSync(buffer.directory), []);
+});
+
+test('a segment of only older samples is replayed before the ones buffered ahead of it', async () => {
+    const buffer = createBuffer(undefined, { segmentBytes: 100 });
+    buffer.append(sample('LINE_01', 100));
+    buffer.append(sample('PKG_01', 50));
+    buffer.append(sample('CONV_01', 200));
+
+    assert.strictEqual(buffer.segments.length, 3);
+    assert.deepStrictEqual(await drain(buffer), ['PKG_01@50', 'LINE_01@100', 'CONV_01@200']);
+});
+
+test('keeps the order of a backlog left by a previous run', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buffer-'));
+    const before = createBuffer(directory);
+    [30, 40, 50].forEach(seconds => before.append(sample('LINE_01', seconds)));
+    [0, 10, 20].forEach(seconds => before.append(sample('PKG_01', seconds)));
+    fs.appendFileSync(before.segments[before.segments.length - 1].file, '{"machineId":"PKG_01","da');
+
+    const [warn, log] = [console.warn, console.log];
+    console.warn = console.log = () => {};
+    try {
+        const after = createBuffer(directory);
+        assert.deepStrictEqual(await drain(after), ['PKG_01@0', 'PKG_01@10', 'PKG_01@20', 'LINE_01@30', 'LINE_01@40', 'LINE_01@50']);
+        assert.strictEqual(after.unreadable, 1);
+    } finally {
+        [console.warn, console.log] = [warn, log];
+    }
+});
+
+test('keeps the segments of an interrupted replay for the next one', async () => {
+    const buffer = createBuffer(undefined, { replayRate: 2 });
+    [0, 1, 2, 3].forEach(seconds => buffer.append(sample('LINE_01', seconds)));
+    const size = buffer.size;
+
+    let connected = true;
+    await buffer.drain(async () => {
+        connected = false;
+    }, () => connected);
+
+    assert.strictEqual(buffer.size, size);
+    assert.strictEqual(buffer.stalled, false);
+});
@@ -225,10 +225,11 @@ class IgnitionMQTTBridge {
             const equipmentId = data.source?.equipmentId || workUnit;
             
             if (dataType === 'equipment' && data.equipment) {
-                // Update status tags
+                // Update status tags; a silent source keeps its last values with degraded quality
+                const statusQuality = { STALE: 'Uncertain', COMMS_LOST: 'Bad' }[data.equipment.status] || 'Good';
                 this.updateTagValue(area, equipmentId, 'Status/State', data.equipment.status);
-                this.updateTagValue(area, equipmentId, 'Status/Availability', data.equipment.availability);
-                this.updateTagValue(area, equipmentId, 'Status/Efficiency', data.equipment.performance?.efficiency || 0);
+                this.updateTagValue(area, equipmentId, 'Status/Availability', data.equipment.availability, statusQuality);
+                this.updateTagValue(area, equipmentId, 'Status/Efficiency', data.equipment.performance?.efficiency || 0, statusQuality);
             }
             
             if (dataType === 'process' && data.process?.parameters) {
@@ -236,19 +237,19 @@ class IgnitionMQTTBridge {
                 const params = data.process.parameters;
                 
                 if (params.temperature) {
-                    this.updateTagValue(area, equipmentId, 'Process/Temperature', params.temperature.value);
+                    this.updateTagValue(area, equipmentId, 'Process/Temperature', params.temperature.value, params.temperature.quality);
                 }
                 if (params.pressure) {
-                    this.updateTagValue(area, equipmentId, 'Process/Pressure', params.pressure.value);
+                    this.updateTagValue(area, equipmentId, 'Process/Pressure', params.pressure.value, params.pressure.quality);
                 }
                 if (params.speed) {
-                    this.updateTagValue(area, equipmentId, 'Process/Speed', params.speed.value);
+                    this.updateTagValue(area, equipmentId, 'Process/Speed', params.speed.value, params.speed.quality);
                 }
                 if (params.vibration) {
-                    this.updateTagValue(area, equipmentId, 'Process/Vibration', params.vibration.value);
+                    this.updateTagValue(area, equipmentId, 'Process/Vibration', params.vibration.value, params.vibration.quality);
                 }
                 if (params.powerConsumption) {
-                    this.updateTagValue(area, equipmentId, 'Process/PowerConsumption', params.powerConsumption.value);
+                    this.updateTagValue(area, equipmentId, 'Process/PowerConsumption', params.powerConsumption.value, params.powerConsumption.quality);
                 }
             }
             
@@ -271,12 +272,12 @@ class IgnitionMQTTBridge {
         }
     }
 
-    updateTagValue(area, equipmentId, tagPath, value) {
+    updateTagValue(area, equipmentId, tagPath, value, quality = 'Good') {
         // Simulate updating Ignition tag
         // In real implementation, this would use Ignition Gateway API
         const fullTagPath = `UNS/${area}/${equipmentId}/${tagPath}`;
         
-        console.log(`Bridge: Updating tag ${fullTagPath} = ${value}`);
+        console.log(`Bridge: Updating tag ${fullTagPath} = ${value} (${quality || 'Good'})`);
         
         // Store locally for trend tracking
         if (!this.scadaData.trends.has(fullTagPath)) {
@@ -287,7 +288,7 @@ class IgnitionMQTTBridge {
         trends.push({
             timestamp: new Date(),
             value: value,
-            quality: 'Good'
+            quality: quality || 'Good'
         });
         
         // Keep only last 1000 trend points
@@ -339,12 +340,13 @@ class IgnitionMQTTBridge {
                 });
             }
             
-            // Equipment fault alert
-            if (data.equipment?.status === 'FAULT') {
+            // Equipment fault alert, raised from maintenance/status: equipment/status only
+            // carries the FAULT status, the error code comes with the raw state here
+            if (data.maintenance?.currentState === 'ERROR') {
                 alerts.push({
                     equipmentId: equipmentId,
                     alertType: 'EquipmentFault',
-                    message: `Equipment fault detected: ${data.maintenance?.errorCode || 'Unknown error'}`,
+                    message: `Equipment fault detected: ${data.maintenance.errorCode || 'Unknown error'}`,
                     priority: 'Critical',
                     timestamp: new Date(),
                     acknowledged: false
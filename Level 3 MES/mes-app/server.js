@@ -37,6 +37,9 @@ class MESService {
         this.qualityData = [];
         this.equipmentStatus = new Map();
         
+        // Last cumulative part counters per equipment, kept in Redis across restarts
+        this.partCounters = new Map();
+        
         this.init();
     }
 
@@ -102,6 +105,11 @@ class MESService {
         this.redisClient = redis.createClient({ url: this.redisUrl });
         await this.redisClient.connect();
         console.log('MES: Connected to Redis');
+        
+        const counters = await this.redisClient.hGetAll('mes:part-counters');
+        Object.entries(counters).forEach(([equipmentId, counter]) => {
+            this.partCounters.set(equipmentId, JSON.parse(counter));
+        });
     }
 
     async initMongoDB() {
@@ -300,15 +308,49 @@ class MESService {
         }
     }
 
+    // Parts made since the equipment's previous sample. A counter that went down was
+    // reset (PLC restart or rollover), so its whole value was made since. The first
+    // sample of an equipment only sets the baseline, and an older sample than the last
+    // one (a redelivery, or the same sample on another topic) adds nothing.
+    productionSince(data) {
+        const equipmentId = data.source.equipmentId;
+        const current = {
+            goodParts: data.quality.goodParts ?? 0,
+            badParts: data.quality.badParts ?? 0,
+            timestamp: data.timestamp
+        };
+        const previous = this.partCounters.get(equipmentId);
+        if (previous && Date.parse(current.timestamp) <= Date.parse(previous.timestamp)) {
+            return null;
+        }
+        
+        this.partCounters.set(equipmentId, current);
+        this.redisClient.hSet('mes:part-counters', equipmentId, JSON.stringify(current)).catch(error => {
+            console.error('MES: Error saving part counters:', error);
+        });
+        if (!previous) {
+            return { goodParts: 0, badParts: 0 };
+        }
+        const increase = name => (current[name] >= previous[name] ? current[name] - previous[name] : current[name]);
+        return { goodParts: increase('goodParts'), badParts: increase('badParts') };
+    }
+
     async processQualityData(data) {
-        if (data.quality) {
+        if (data.quality && data.source) {
+            // The equipment's counters are cumulative; a record holds what was made
+            // since its previous sample, so the KPIs can sum records
+            const production = this.productionSince(data);
+            if (!production) {
+                return;
+            }
+            
             const qualityRecord = {
                 equipmentId: data.source.equipmentId,
                 timestamp: data.timestamp,
-                goodParts: data.quality.goodParts,
-                badParts: data.quality.badParts,
+                goodParts: production.goodParts,
+                badParts: production.badParts,
                 rejectRate: data.quality.rejectRate,
-                totalParts: data.quality.totalParts,
+                totalParts: production.goodParts + production.badParts,
                 area: data.source.area
             };
             
@@ -382,7 +424,7 @@ class MESService {
         const avgAvailability = equipmentArray.reduce((sum, eq) => sum + eq.availability, 0) / equipmentArray.length || 0;
         const avgEfficiency = equipmentArray.reduce((sum, eq) => sum + eq.efficiency, 0) / equipmentArray.length || 0;
         
-        // Quality metrics from last 24 hours
+        // Quality metrics from last 24 hours, summed over the parts made per sample
         const recentQuality = this.qualityData.filter(q => new Date(q.timestamp) > last24h);
         const totalParts = recentQuality.reduce((sum, q) => sum + q.totalParts, 0);
         const goodParts = recentQuality.reduce((sum, q) => sum + q.goodParts, 0);
@@ -45,6 +45,9 @@ class ERPService {
         this.suppliers = new Map();
         this.customers = new Map();
         
+        // Last cumulative part counters per equipment, kept in Redis across restarts
+        this.partCounters = new Map();
+        
         this.init();
     }
 
@@ -113,6 +116,11 @@ class ERPService {
         this.redisClient = redis.createClient({ url: this.redisUrl });
         await this.redisClient.connect();
         console.log('ERP: Connected to Redis');
+        
+        const counters = await this.redisClient.hGetAll('erp:part-counters');
+        Object.entries(counters).forEach(([equipmentId, counter]) => {
+            this.partCounters.set(equipmentId, JSON.parse(counter));
+        });
     }
 
     async initMongoDB() {
@@ -341,9 +349,13 @@ class ERPService {
             const data = JSON.parse(message.toString());
             console.log(`ERP: Processing message from ${topic}`);
             
+            // The equipment's counters are cumulative; only what was made since its
+            // previous sample counts
+            const production = data.quality && data.source ? this.productionSince(data) : null;
+            
             // Update inventory based on production data
-            if (data.quality && data.quality.goodParts) {
-                await this.updateInventoryFromProduction(data);
+            if (production && production.goodParts > 0) {
+                await this.updateInventoryFromProduction(data, production);
             }
             
             // Track equipment costs and depreciation
@@ -352,7 +364,9 @@ class ERPService {
             }
             
             // Update financial metrics
-            await this.updateFinancialMetrics(data);
+            if (production) {
+                await this.updateFinancialMetrics(production);
+            }
             
             // Store enterprise data
             await this.storeEnterpriseData(data);
@@ -362,9 +376,36 @@ class ERPService {
         }
     }
 
-    async updateInventoryFromProduction(data) {
+    // Parts made since the equipment's previous sample. A counter that went down was
+    // reset (PLC restart or rollover), so its whole value was made since. The first
+    // sample of an equipment only sets the baseline, and an older sample than the last
+    // one (a redelivery, or the same sample on another topic) adds nothing.
+    productionSince(data) {
+        const equipmentId = data.source.equipmentId;
+        const current = {
+            goodParts: data.quality.goodParts ?? 0,
+            badParts: data.quality.badParts ?? 0,
+            timestamp: data.timestamp
+        };
+        const previous = this.partCounters.get(equipmentId);
+        if (previous && Date.parse(current.timestamp) <= Date.parse(previous.timestamp)) {
+            return { goodParts: 0, badParts: 0 };
+        }
+        
+        this.partCounters.set(equipmentId, current);
+        this.redisClient.hSet('erp:part-counters', equipmentId, JSON.stringify(current)).catch(error => {
+            console.error('ERP: Error saving part counters:', error);
+        });
+        if (!previous) {
+            return { goodParts: 0, badParts: 0 };
+        }
+        const increase = name => (current[name] >= previous[name] ? current[name] - previous[name] : current[name]);
+        return { goodParts: increase('goodParts'), badParts: increase('badParts') };
+    }
+
+    async updateInventoryFromProduction(data, production) {
         try {
-            if (data.quality && data.quality.goodParts > 0) {
+            if (production.goodParts > 0) {
                 const client = await this.pgPool.connect();
                 
                 // Map equipment to product codes
@@ -380,13 +421,13 @@ class ERPService {
                         UPDATE inventory 
                         SET quantity = quantity + $1, last_updated = NOW()
                         WHERE product_code = $2
-                    `, [data.quality.goodParts, productCode]);
+                    `, [production.goodParts, productCode]);
                     
                     // Log inventory transaction
                     await client.query(`
                         INSERT INTO inventory_transactions (product_code, transaction_type, quantity, reason, created_at)
                         VALUES ($1, 'PRODUCTION', $2, $3, NOW())
-                    `, [productCode, data.quality.goodParts, `Production from ${data.source.equipmentId}`]);
+                    `, [productCode, production.goodParts, `Production from ${data.source.equipmentId}`]);
                 }
                 
                 client.release();
@@ -420,16 +461,14 @@ class ERPService {
         }
     }
 
-    async updateFinancialMetrics(data) {
-        // Update financial metrics based on production and quality data
-        if (data.quality) {
-            const productValue = data.quality.goodParts * 25; // $25 per good part
-            const wasteValue = data.quality.badParts * 15; // $15 lost per bad part
-            
-            this.financialData.revenue += productValue;
-            this.financialData.costs += wasteValue;
-            this.financialData.profit = this.financialData.revenue - this.financialData.costs;
-        }
+    async updateFinancialMetrics(production) {
+        // Update financial metrics based on the parts made since the previous sample
+        const productValue = production.goodParts * 25; // $25 per good part
+        const wasteValue = production.badParts * 15; // $15 lost per bad part
+        
+        this.financialData.revenue += productValue;
+        this.financialData.costs += wasteValue;
+        this.financialData.profit = this.financialData.revenue - this.financialData.costs;
     }
 
     async storeEnterpriseData(data) {
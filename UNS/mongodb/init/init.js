@@ -6,6 +6,19 @@ db.createCollection('equipment_data');
 db.createCollection('production_data');
 db.createCollection('quality_data');
 db.createCollection('maintenance_data');
+db.createCollection('dead_letters');
+db.createCollection('state_history');
+
+// Historian: one sample per equipment and metric, rolled up per minute, hour and day.
+// Retention is in days; the payload processor applies its *_RETENTION_DAYS settings on startup.
+const DAY = 24 * 60 * 60;
+db.createCollection('measurements', {
+    timeseries: { timeField: 'timestamp', metaField: 'meta', granularity: 'seconds' },
+    expireAfterSeconds: 7 * DAY
+});
+db.createCollection('measurements_1m');
+db.createCollection('measurements_1h');
+db.createCollection('measurements_1d');
 
 // Create indexes for better performance
 db.equipment_data.createIndex({ "timestamp": 1 });
@@ -22,4 +35,19 @@ db.quality_data.createIndex({ "equipmentId": 1 });
 db.maintenance_data.createIndex({ "timestamp": 1 });
 db.maintenance_data.createIndex({ "equipmentId": 1 });
 
+db.dead_letters.createIndex({ "rejectedAt": -1 });
+db.dead_letters.createIndex({ "status": 1, "stage": 1 });
+db.dead_letters.createIndex({ "topic": 1 });
+
+db.state_history.createIndex({ "equipmentId": 1, "timestamp": -1 });
+db.state_history.createIndex({ "to": 1, "timestamp": -1 });
+
+db.equipment_data.createIndex({ "createdAt": 1 }, { expireAfterSeconds: 7 * DAY });
+
+db.measurements.createIndex({ "meta.equipmentId": 1, "meta.metric": 1, "timestamp": 1 });
+[['measurements_1m', 30], ['measurements_1h', 365], ['measurements_1d', 1825]].forEach(([name, days]) => {
+    db[name].createIndex({ "equipmentId": 1, "metric": 1, "bucket": 1 }, { unique: true });
+    db[name].createIndex({ "bucket": 1 }, { expireAfterSeconds: days * DAY });
+});
+
 print('UNS MongoDB database initialized successfully');
\ No newline at end of file
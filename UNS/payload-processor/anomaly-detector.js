@@ -0,0 +1,270 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+
+const PERSIST_INTERVAL = 60; // seconds
+
+// Hash fields besides the baselines (which are keyed parameter|product|state)
+const STATE_FIELD = '@state';
+const ACTIVE_PREFIX = '@active|';
+
+function round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Learns a baseline (EWMA mean and variance) per equipment, parameter, product and
+// state, and scores every value by how many standard deviations it lies from its
+// baseline. A parameter becomes anomalous at threshold and stays so until its score
+// drops below clearBelow; both changes are returned as ANOMALY events. Baselines,
+// the current state and the active anomalies are kept in Redis (hash
+// equipment:<id>:baselines) so a restart, or another processor, carries on from them.
+class AnomalyDetector {
+    constructor(options = {}) {
+        this.redisClient = options.redisClient;
+        this.enabled = options.enabled !== false;
+        this.alpha = options.alpha ?? 0.02;
+        this.threshold = options.threshold ?? 4;
+        this.clearBelow = options.clearBelow ?? 3;
+        this.warmup = options.warmup ?? 50;
+        this.settleTime = (options.settleTime ?? 120) * 1000;
+        this.minSigma = options.minSigma || {}; // parameter -> floor for the standard deviation
+        this.minSigmaPercent = options.minSigmaPercent ?? 1; // floor as percent of the mean
+        this.parameters = options.parameters || null; // null: every numeric parameter
+        this.persistInterval = (options.persistInterval ?? PERSIST_INTERVAL) * 1000;
+
+        this.baselines = new Map(); // equipmentId -> Map season key -> { n, mean, variance }
+        this.dirty = new Map(); // equipmentId -> Set of hash fields changed since the last save
+        this.savedAt = new Map(); // equipmentId -> time of the last save
+        this.states = new Map(); // equipmentId -> { state, since }
+        this.active = new Map(); // `${equipmentId}/${parameter}` -> { since, maxScore }
+    }
+
+    static baselinesKey(equipmentId) {
+        return `equipment:${equipmentId}:baselines`;
+    }
+
+    async load(equipmentId) {
+        if (!this.baselines.has(equipmentId)) {
+            const stored = await this.redisClient.hGetAll(AnomalyDetector.baselinesKey(equipmentId));
+            const baselines = new Map();
+            Object.entries(stored).forEach(([field, value]) => {
+                const parsed = JSON.parse(value);
+                if (field === STATE_FIELD) {
+                    this.states.set(equipmentId, { state: parsed.state, since: parsed.since ?? -Infinity });
+                } else if (field.startsWith(ACTIVE_PREFIX)) {
+                    this.active.set(`${equipmentId}/${field.slice(ACTIVE_PREFIX.length)}`, parsed);
+                } else {
+                    baselines.set(field, parsed);
+                }
+            });
+            this.baselines.set(equipmentId, baselines);
+            this.dirty.set(equipmentId, new Set());
+            this.savedAt.set(equipmentId, Date.now());
+        }
+        return this.baselines.get(equipmentId);
+    }
+
+    async save(equipmentId) {
+        const dirty = this.dirty.get(equipmentId);
+        this.savedAt.set(equipmentId, Date.now());
+        if (dirty.size === 0) return;
+
+        const baselines = this.baselines.get(equipmentId);
+        const fields = {};
+        const removed = [];
+        dirty.forEach(field => {
+            let value;
+            if (field === STATE_FIELD) {
+                const { state, since } = this.states.get(equipmentId);
+                value = { state, since: Number.isFinite(since) ? since : null };
+            } else if (field.startsWith(ACTIVE_PREFIX)) {
+                value = this.active.get(`${equipmentId}/${field.slice(ACTIVE_PREFIX.length)}`);
+            } else {
+                value = baselines.get(field);
+            }
+            if (value === undefined) {
+                removed.push(field);
+            } else {
+                fields[field] = JSON.stringify(value);
+            }
+        });
+        dirty.clear();
+
+        const key = AnomalyDetector.baselinesKey(equipmentId);
+        const multi = this.redisClient.multi();
+        if (Object.keys(fields).length > 0) multi.hSet(key, fields);
+        if (removed.length > 0) multi.hDel(key, removed);
+        await multi.execAsPipeline();
+    }
+
+    static seasonKey(parameter, productCode, state) {
+        return `${parameter}|${productCode || '-'}|${state || '-'}`;
+    }
+
+    sigma(parameter, baseline) {
+        const floor = Math.max(this.minSigma[parameter] || 0, Math.abs(baseline.mean) * this.minSigmaPercent / 100);
+        return Math.max(Math.sqrt(baseline.variance), floor, Number.EPSILON);
+    }
+
+    // EWMA mean and variance; a cumulative average until the baseline has seen
+    // 1/alpha values, so it settles quickly. The deviation a value can pull the
+    // baseline by is capped at threshold, so anomalies barely move it while a lasting
+    // shift is still learned over time.
+    learn(parameter, baseline, value) {
+        const weight = Math.max(this.alpha, 1 / (baseline.n + 1));
+        let deviation = value - baseline.mean;
+        if (baseline.n >= this.warmup) {
+            const limit = this.threshold * this.sigma(parameter, baseline);
+            deviation = Math.max(-limit, Math.min(limit, deviation));
+        }
+        const increment = weight * deviation;
+        baseline.mean += increment;
+        baseline.variance = (1 - weight) * (baseline.variance + deviation * increment);
+        baseline.n++;
+    }
+
+    // Marks anomalous parameters (parameter.anomaly = true) and returns the events
+    async inspect(data) {
+        if (!this.enabled) return [];
+
+        const equipmentId = data.source.equipmentId;
+        const state = data.maintenance?.currentState;
+        const productCode = data.equipment.productCode;
+        const time = Date.parse(data.timestamp);
+        const baselines = await this.load(equipmentId);
+        const dirty = this.dirty.get(equipmentId);
+        let changed = false; // saved straight away, unlike the baselines
+
+        // Values right after a state change are transients, neither learned nor judged.
+        // The first value ever seen is no state change.
+        const current = this.states.get(equipmentId);
+        if (!current || current.state !== state) {
+            this.states.set(equipmentId, { state, since: current ? time : -Infinity });
+            dirty.add(STATE_FIELD);
+            changed = true;
+        }
+        const settling = time - this.states.get(equipmentId).since < this.settleTime;
+
+        const events = [];
+        Object.entries(data.process.parameters).forEach(([parameter, entry]) => {
+            if (typeof entry.value !== 'number' || entry.quality === 'Bad') return;
+            if (this.parameters && !this.parameters.includes(parameter)) return;
+
+            const key = `${equipmentId}/${parameter}`;
+            const season = AnomalyDetector.seasonKey(parameter, productCode, state);
+            const baseline = baselines.get(season) || { n: 0, mean: entry.value, variance: 0 };
+            const active = this.active.get(key);
+            if (settling) {
+                if (active) entry.anomaly = true;
+                return;
+            }
+
+            const sigma = this.sigma(parameter, baseline);
+            const score = Math.abs(entry.value - baseline.mean) / sigma;
+            const event = (status, extra) => ({
+                eventId: uuidv4(),
+                type: 'ANOMALY',
+                status,
+                timestamp: data.timestamp,
+                equipmentId,
+                source: data.source,
+                parameter,
+                value: entry.value,
+                unit: entry.unit,
+                expected: round(baseline.mean),
+                stdDev: round(sigma),
+                score: round(score, 2),
+                direction: entry.value >= baseline.mean ? 'HIGH' : 'LOW',
+                season: { productCode: productCode ?? null, state: state ?? null },
+                ...extra
+            });
+
+            if (baseline.n >= this.warmup) {
+                if (!active && score >= this.threshold) {
+                    this.active.set(key, { since: data.timestamp, maxScore: score });
+                    dirty.add(ACTIVE_PREFIX + parameter);
+                    changed = true;
+                    events.push(event('ACTIVE', { maxScore: round(score, 2) }));
+                } else if (active && score < this.clearBelow) {
+                    this.active.delete(key);
+                    dirty.add(ACTIVE_PREFIX + parameter);
+                    changed = true;
+                    events.push(event('CLEARED', {
+                        maxScore: round(active.maxScore, 2),
+                        since: active.since,
+                        duration: (time - Date.parse(active.since)) / 1000 // seconds
+                    }));
+                } else if (active && score > active.maxScore) {
+                    active.maxScore = score;
+                    dirty.add(ACTIVE_PREFIX + parameter);
+                }
+            }
+            if (this.active.has(key)) {
+                entry.anomaly = true;
+            }
+
+            this.learn(parameter, baseline, entry.value);
+            baselines.set(season, baseline);
+            dirty.add(season);
+        });
+
+        if (changed || Date.now() - this.savedAt.get(equipmentId) >= this.persistInterval) {
+            await this.save(equipmentId);
+        }
+        return events;
+    }
+
+    // Writes what is not saved yet; used on shutdown
+    async flush() {
+        for (const equipmentId of this.baselines.keys()) {
+            await this.save(equipmentId);
+        }
+    }
+
+    // Reloaded from Redis on the next sample
+    evict(equipmentId) {
+        this.baselines.delete(equipmentId);
+        this.dirty.delete(equipmentId);
+        this.savedAt.delete(equipmentId);
+        this.states.delete(equipmentId);
+        Array.from(this.active.keys())
+            .filter(key => key.startsWith(`${equipmentId}/`))
+            .forEach(key => this.active.delete(key));
+    }
+
+    async forget(equipmentId) {
+        this.evict(equipmentId);
+        await this.redisClient.del(AnomalyDetector.baselinesKey(equipmentId));
+    }
+}
+
+// anomaly.yml: enabled, alpha, threshold, clear_below, warmup, settle_time (seconds),
+// min_sigma (per parameter, canonical units), min_sigma_percent and parameters
+function loadAnomalyConfig(file) {
+    if (!fs.existsSync(file)) {
+        console.log(`No anomaly detection config at ${file}, using the defaults`);
+        return {};
+    }
+
+    const definition = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    const config = {
+        enabled: definition.enabled,
+        alpha: definition.alpha,
+        threshold: definition.threshold,
+        clearBelow: definition.clear_below,
+        warmup: definition.warmup,
+        settleTime: definition.settle_time,
+        minSigma: definition.min_sigma,
+        minSigmaPercent: definition.min_sigma_percent,
+        parameters: definition.parameters
+    };
+    if (config.threshold !== undefined && config.clearBelow !== undefined && !(config.clearBelow < config.threshold)) {
+        throw new Error(`Anomaly detection: clear_below (${config.clearBelow}) must be below threshold (${config.threshold})`);
+    }
+
+    console.log(`Loaded anomaly detection config ${file}: ${config.enabled === false ? 'off' : `anomalies at ${config.threshold ?? 4} standard deviations`}`);
+    return config;
+}
+
+module.exports = { AnomalyDetector, loadAnomalyConfig };
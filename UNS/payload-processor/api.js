@@ -0,0 +1,98 @@
+const express = require('express');
+const { HistoryQueryError, toCsv } = require('./history');
+
+// HTTP API of the payload processor
+function createApi(processor) {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    const dlq = () => processor.deadLetterQueue;
+    
+    // Express 4 does not pass rejected promises from async handlers to the error handler
+    const route = handler => (req, res, next) => handler(req, res).catch(next);
+
+    // Dead-letter queue: list, inspect, edit and re-submit rejected messages
+    app.get('/api/dlq', route(async (req, res) => {
+        res.json(await dlq().list({
+            status: req.query.status,
+            stage: req.query.stage,
+            topic: req.query.topic,
+            limit: parseInt(req.query.limit) || 100,
+            skip: parseInt(req.query.skip) || 0
+        }));
+    }));
+
+    app.get('/api/dlq/stats', route(async (req, res) => {
+        res.json(await dlq().stats());
+    }));
+
+    app.get('/api/dlq/:id', route(async (req, res) => {
+        const document = await dlq().get(req.params.id);
+        if (!document) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        res.json(document);
+    }));
+
+    // Body: { "payload": <corrected JSON object or raw string> }
+    app.put('/api/dlq/:id', route(async (req, res) => {
+        if (req.body.payload === undefined) {
+            return res.status(400).json({ error: 'payload is required' });
+        }
+        const document = await dlq().edit(req.params.id, req.body.payload);
+        if (!document) {
+            return res.status(404).json({ error: 'Pending dead letter not found' });
+        }
+        res.json(document);
+    }));
+
+    app.post('/api/dlq/:id/resubmit', route(async (req, res) => {
+        const document = await dlq().resubmit(req.params.id);
+        if (!document) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        res.json(document);
+    }));
+
+    // Queue depth, throughput, latency and MongoDB batching
+    app.get('/api/metrics', (req, res) => {
+        res.json(processor.metrics());
+    });
+
+    // Historian: metrics stored for an equipment, and their history
+    app.get('/api/history/:equipmentId', route(async (req, res) => {
+        res.json({ equipmentId: req.params.equipmentId, metrics: await processor.history.metrics(req.params.equipmentId) });
+    }));
+
+    // Query: mode (raw | interpolated | aggregated), from, to, interval, aggregates,
+    // source (raw | 1m | 1h | 1d), limit, format (json | csv)
+    app.get('/api/history/:equipmentId/:metric', route(async (req, res) => {
+        const result = await processor.history.query(req.params.equipmentId, req.params.metric, req.query);
+        if (req.query.format === 'csv' || (!req.query.format && req.accepts(['json', 'csv']) === 'csv')) {
+            res.attachment(`${req.params.equipmentId}_${req.params.metric}_${result.mode}.csv`);
+            return res.type('text/csv').send(toCsv(result.points));
+        }
+        res.json(result);
+    }));
+
+    // Clears the equipment's retained UNS topics and cached state
+    app.delete('/api/equipment/:id', route(async (req, res) => {
+        const result = await processor.decommission(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Equipment not found' });
+        }
+        res.json(result);
+    }));
+
+    app.use((error, req, res, next) => {
+        if (error instanceof HistoryQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`API error on ${req.method} ${req.path}:`, error);
+        res.status(500).json({ error: error.message });
+    });
+
+    return app;
+}
+
+module.exports = { createApi };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// ISA-95 levels of a UNS topic, outermost first
+const LEVELS = ['enterprise', 'site', 'area', 'line', 'cell'];
+
+const UNASSIGNED = 'UNASSIGNED';
+
+function checkSegment(value, what, file) {
+    const segment = String(value);
+    if (segment === '' || /[/+#]/.test(segment)) {
+        throw new Error(`Asset model ${file}: ${what} "${segment}" is not a valid topic level`);
+    }
+    return segment;
+}
+
+// Places equipment in the enterprise/site/area/line/cell tree. The model file nests
+// sites, areas, lines and cells; each cell names the equipment it holds:
+//   enterprise: acme
+//   sites:
+//     detroit:
+//       areas:
+//         production:
+//           lines:
+//             line1:
+//               cells:
+//                 assembly: LINE_01
+//                 packing: { equipment: PKG_01, name: Packaging Unit 1 }
+class AssetModel {
+    constructor(definition, file) {
+        this.file = file;
+        this.enterprise = checkSegment(definition.enterprise || '', 'enterprise', file);
+        this.locations = new Map(); // equipmentId -> location
+        this.names = new Map(); // equipmentId -> display name
+
+        const unassigned = definition.unassigned || {};
+        this.unassigned = {
+            site: checkSegment(unassigned.site || UNASSIGNED, 'unassigned site', file),
+            line: checkSegment(unassigned.line || UNASSIGNED, 'unassigned line', file)
+        };
+        this.warned = new Set();
+
+        Object.entries(definition.sites || {}).forEach(([site, siteDefinition]) => {
+            Object.entries((siteDefinition || {}).areas || {}).forEach(([area, areaDefinition]) => {
+                Object.entries((areaDefinition || {}).lines || {}).forEach(([line, lineDefinition]) => {
+                    Object.entries((lineDefinition || {}).cells || {}).forEach(([cell, value]) => {
+                        const placement = value !== null && typeof value === 'object' ? value : { equipment: value };
+                        this.place(String(placement.equipment), { site, area, line, cell });
+                        if (placement.name) {
+                            this.names.set(String(placement.equipment), String(placement.name));
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    static load(file) {
+        const model = new AssetModel(yaml.load(fs.readFileSync(file, 'utf8')) || {}, file);
+        console.log(`Loaded asset model ${file}: ${model.enterprise} with ${model.locations.size} equipment`);
+        return model;
+    }
+
+    place(equipmentId, location) {
+        if (this.locations.has(equipmentId)) {
+            const existing = this.locations.get(equipmentId);
+            throw new Error(`Asset model ${this.file}: ${equipmentId} is placed in both ${existing.site}/${existing.area}/${existing.line}/${existing.cell} and ${location.site}/${location.area}/${location.line}/${location.cell}`);
+        }
+        const checked = { enterprise: this.enterprise };
+        ['site', 'area', 'line', 'cell'].forEach(level => {
+            checked[level] = checkSegment(location[level], level, this.file);
+        });
+        this.locations.set(equipmentId, checked);
+    }
+
+    displayName(equipmentId) {
+        return this.names.get(equipmentId) || equipmentId;
+    }
+
+    // Equipment missing from the model is published under the unassigned site and
+    // line, in its mapped area, with its id as the cell
+    locate(record) {
+        const location = this.locations.get(record.equipmentId);
+        if (location) return location;
+
+        if (!this.warned.has(record.equipmentId)) {
+            this.warned.add(record.equipmentId);
+            console.warn(`Equipment ${record.equipmentId} is not in asset model ${this.file}, publishing it under ${this.unassigned.site}/${record.area}/${this.unassigned.line}`);
+        }
+        return {
+            enterprise: this.enterprise,
+            site: this.unassigned.site,
+            area: record.area,
+            line: this.unassigned.line,
+            cell: record.equipmentId
+        };
+    }
+
+    static topicPath(location) {
+        return LEVELS.map(level => location[level]).join('/');
+    }
+}
+
+module.exports = { AssetModel, LEVELS };
@@ -0,0 +1,164 @@
+const DUPLICATE_KEY = 11000;
+
+// Buffers documents for one MongoDB collection and writes them with insertMany,
+// when batchSize documents are waiting or every flushInterval ms. add() only waits
+// when maxPending documents are buffered, which slows the workers down (and through
+// them the broker) while MongoDB cannot keep up. Documents whose _id is already
+// in the collection were written before (a sample processed twice) and are skipped.
+// A callback passed to add() is called once its document is written; never if the
+// document is dropped.
+class BatchWriter {
+    constructor(options) {
+        this.collection = options.collection;
+        this.batchSize = options.batchSize || 500;
+        this.flushInterval = options.flushInterval || 200;
+        this.maxPending = options.maxPending || this.batchSize * 20;
+        this.onWritten = options.onWritten || null; // async (documents) => void, after each successful batch
+
+        this.buffer = [];
+        this.callbacks = new Map(); // document -> called once written
+        this.flushing = null;
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+
+        this.written = 0;
+        this.duplicates = 0;
+        this.failedBatches = 0;
+        this.dropped = 0;
+        this.lastFlush = null; // { documents, durationMs, at }
+    }
+
+    async add(document, written = null) {
+        while (this.buffer.length >= this.maxPending) {
+            await (this.flushing || this.flush());
+            if (this.buffer.length >= this.maxPending) {
+                // The batch failed and went back into the buffer; retry at the flush pace
+                await new Promise(resolve => setTimeout(resolve, this.flushInterval));
+            }
+        }
+        this.buffer.push(document);
+        if (written) {
+            this.callbacks.set(document, written);
+        }
+        if (this.buffer.length >= this.batchSize && !this.flushing) {
+            this.flush();
+        }
+    }
+
+    // Writes a batch; resolves to the documents that could not be written. The
+    // insert is unordered, so only documents with a write error were not written.
+    async insert(batch) {
+        try {
+            await this.collection.insertMany(batch, { ordered: false });
+            return [];
+        } catch (error) {
+            if (!error.writeErrors) throw error;
+            const writeErrors = [].concat(error.writeErrors);
+            const failed = writeErrors.filter(writeError => writeError.code !== DUPLICATE_KEY).map(writeError => batch[writeError.index]);
+            this.duplicates += writeErrors.length - failed.length;
+            if (failed.length > 0) {
+                console.error(`Error writing ${failed.length} of ${batch.length} document(s) to ${this.collection.collectionName}:`, error.message);
+            }
+            return failed;
+        }
+    }
+
+    // One insertMany at a time; failed documents go back to the front of the buffer
+    // as long as that stays under maxPending
+    flush() {
+        if (this.flushing || this.buffer.length === 0) {
+            return this.flushing || Promise.resolve();
+        }
+
+        const batch = this.buffer.splice(0, this.batchSize);
+        const started = Date.now();
+        this.flushing = this.insert(batch)
+            .catch(error => {
+                console.error(`Error writing ${batch.length} document(s) to ${this.collection.collectionName}:`, error.message);
+                return batch;
+            })
+            .then(async failed => {
+                if (failed.length > 0) {
+                    this.failedBatches++;
+                    this.requeue(failed);
+                }
+                const written = failed.length > 0 ? batch.filter(document => !failed.includes(document)) : batch;
+                if (written.length === 0) return;
+
+                this.written += written.length;
+                this.lastFlush = { documents: written.length, durationMs: Date.now() - started, at: new Date().toISOString() };
+                this.confirm(written);
+                if (this.onWritten) {
+                    await this.onWritten(written).catch(error => console.error(`Error after writing to ${this.collection.collectionName}:`, error.message));
+                }
+            })
+            .finally(() => {
+                this.flushing = null;
+                if (this.buffer.length >= this.batchSize) {
+                    this.flush();
+                }
+            });
+        return this.flushing;
+    }
+
+    requeue(documents) {
+        const room = Math.max(0, this.maxPending - this.buffer.length);
+        if (room > 0) {
+            this.buffer.unshift(...documents.slice(0, room));
+        }
+        this.drop(documents.slice(room));
+    }
+
+    confirm(documents) {
+        documents.forEach(document => {
+            const written = this.callbacks.get(document);
+            if (written) {
+                this.callbacks.delete(document);
+                written();
+            }
+        });
+    }
+
+    drop(documents) {
+        this.dropped += documents.length;
+        documents.forEach(document => this.callbacks.delete(document));
+    }
+
+    // Writes whatever is left in one go; used on shutdown
+    async close() {
+        clearInterval(this.timer);
+        await this.flushing;
+        if (this.buffer.length === 0) return;
+
+        const batch = this.buffer.splice(0);
+        try {
+            const failed = await this.insert(batch);
+            const written = batch.filter(document => !failed.includes(document));
+            this.written += written.length;
+            this.drop(failed);
+            this.confirm(written);
+            if (this.onWritten && written.length > 0) {
+                await this.onWritten(written);
+            }
+        } catch (error) {
+            this.drop(batch);
+            console.error(`Dropping ${batch.length} unwritten document(s) for ${this.collection.collectionName}:`, error.message);
+        }
+    }
+
+    stats() {
+        return {
+            collection: this.collection.collectionName,
+            pending: this.buffer.length,
+            maxPending: this.maxPending,
+            batchSize: this.batchSize,
+            flushIntervalMs: this.flushInterval,
+            written: this.written,
+            duplicates: this.duplicates,
+            failedBatches: this.failedBatches,
+            dropped: this.dropped,
+            lastFlush: this.lastFlush
+        };
+    }
+}
+
+module.exports = { BatchWriter };
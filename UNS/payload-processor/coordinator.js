@@ -0,0 +1,282 @@
+// Deletes a lock only while it still holds our token, so an expired lock taken over
+// by another processor is left alone
+const RELEASE = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+const RENEW = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) end return 0";
+
+const LOCK_RETRY = 10; // ms
+
+// Lets several processors share the raw topics through an MQTT shared subscription
+// ($share/<group>/...). The broker hands every message to one of them, so samples of
+// one equipment can arrive at different processors:
+// - withEquipment() runs the stateful part of the pipeline under a per-equipment lock
+//   in Redis (equipment:<id>:lock). Samples queue for it in timestamp order
+//   (equipment:<id>:pending), so samples that are in flight on different processors
+//   at the same time are still handled oldest first. When the equipment was last
+//   handled by another processor (equipment:<id>:owner), evict() drops what this one
+//   has cached so it is reloaded from Redis; persist() writes the state back before
+//   the lock is released. The lock is renewed while work() runs; if it expired all
+//   the same (Redis unreachable, the process stalled), persist() is skipped so the
+//   state of the processor that took the equipment over is not overwritten.
+// - claim() records every sample (equipment:<id>:samples), so a duplicate is
+//   recognized within dedupWindow and a sample older than one already processed is
+//   known to be late.
+// - One processor of the group is elected leader (payload-processor:<group>:leader)
+//   for the work that must only run once, like the communication watchdog.
+// Without a group there is a single processor; locks and the election are skipped
+// but samples are still claimed.
+class Coordinator {
+    constructor(options) {
+        this.redisClient = options.redisClient;
+        this.group = options.group || null;
+        this.instanceId = options.instanceId;
+        this.lockTtl = (options.lockTtl ?? 10) * 1000;
+        this.lockWait = (options.lockWait ?? 30) * 1000;
+        this.leaderTtl = (options.leaderTtl ?? 15) * 1000;
+        this.dedupWindow = (options.dedupWindow ?? 3600) * 1000;
+        this.evict = options.evict || (async () => {}); // async (equipmentId) => void
+        this.persist = options.persist || (async () => {}); // async (equipmentId) => void
+
+        this.leader = !this.group;
+        this.timer = null;
+        this.locks = 0;
+        this.tickets = 0;
+        this.handovers = 0;
+        this.lockWaits = 0;
+        this.lostLocks = 0;
+        this.duplicates = 0;
+        this.late = 0;
+    }
+
+    get shared() {
+        return this.group !== null;
+    }
+
+    static lockKey(equipmentId) {
+        return `equipment:${equipmentId}:lock`;
+    }
+
+    static ownerKey(equipmentId) {
+        return `equipment:${equipmentId}:owner`;
+    }
+
+    static pendingKey(equipmentId) {
+        return `equipment:${equipmentId}:pending`;
+    }
+
+    static samplesKey(equipmentId) {
+        return `equipment:${equipmentId}:samples`;
+    }
+
+    leaderKey() {
+        return `payload-processor:${this.group}:leader`;
+    }
+
+    lastSeenKey() {
+        return `payload-processor:${this.group}:last-seen`;
+    }
+
+    // Resolves to the lock's token, and when it was asked for (the lock expires
+    // lockTtl after that at the earliest)
+    async lock(equipmentId) {
+        const token = `${this.instanceId}:${++this.locks}`;
+        const deadline = Date.now() + this.lockWait;
+        for (;;) {
+            const requested = Date.now();
+            if (await this.redisClient.set(Coordinator.lockKey(equipmentId), token, { NX: true, PX: this.lockTtl }) !== null) {
+                return { token, requested };
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`${equipmentId} stayed locked by another processor for ${this.lockWait / 1000}s`);
+            }
+            this.lockWaits++;
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+        }
+    }
+
+    async unlock(equipmentId, token) {
+        await this.redisClient.eval(RELEASE, { keys: [Coordinator.lockKey(equipmentId)], arguments: [token] });
+    }
+
+    // Renews the lock every third of its TTL until stopped. held() is false once a
+    // renewal found the lock taken over, or no renewal got through for lockTtl.
+    holdLock(equipmentId, { token, requested }) {
+        let lost = false;
+        let validUntil = requested + this.lockTtl;
+        const timer = setInterval(async () => {
+            const renewing = Date.now();
+            try {
+                const renewed = await this.redisClient.eval(RENEW, { keys: [Coordinator.lockKey(equipmentId)], arguments: [token, String(this.lockTtl)] });
+                if (renewed === 1) {
+                    validUntil = renewing + this.lockTtl;
+                } else {
+                    lost = true;
+                }
+            } catch (error) {
+                console.error(`Error renewing the lock of ${equipmentId}:`, error.message);
+            }
+        }, this.lockTtl / 3);
+        return {
+            held: () => !lost && Date.now() < validUntil,
+            release: () => clearInterval(timer)
+        };
+    }
+
+    // Waits until no older sample of the equipment is pending. A ticket left behind
+    // by a processor that went away is dropped after lockWait.
+    async awaitTurn(equipmentId, ticket) {
+        const key = Coordinator.pendingKey(equipmentId);
+        for (;;) {
+            const [oldest] = await this.redisClient.zRange(key, 0, 0);
+            if (oldest === undefined || oldest === ticket) return;
+
+            if (Date.now() - Number(oldest.split('|')[2]) > this.lockWait) {
+                await this.redisClient.zRem(key, oldest);
+                continue;
+            }
+            this.lockWaits++;
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+        }
+    }
+
+    // Runs work(), one processor of the group at a time per equipment, with this
+    // processor's cached state of the equipment up to date. With the time of a sample,
+    // waits for the older samples of the equipment first.
+    async withEquipment(equipmentId, work, time = null) {
+        if (!this.shared) {
+            return work();
+        }
+
+        const pendingKey = Coordinator.pendingKey(equipmentId);
+        const ticket = time === null ? null : `${time}|${this.instanceId}:${++this.tickets}|${Date.now()}`;
+        let lock = null;
+        let hold = null;
+        try {
+            if (ticket) {
+                await this.redisClient.zAdd(pendingKey, { score: time, value: ticket });
+                await this.awaitTurn(equipmentId, ticket);
+            }
+            lock = await this.lock(equipmentId);
+            hold = this.holdLock(equipmentId, lock);
+            const owner = await this.redisClient.set(Coordinator.ownerKey(equipmentId), this.instanceId, { GET: true });
+            if (owner !== this.instanceId) {
+                this.handovers++;
+                await this.evict(equipmentId);
+            }
+            const result = await work();
+            if (!hold.held()) {
+                // Another processor may have the equipment now; start over from Redis next time
+                this.lostLocks++;
+                console.error(`Lost the lock of ${equipmentId} while processing, not saving its state`);
+                await this.evict(equipmentId);
+                return result;
+            }
+            await this.persist(equipmentId);
+            return result;
+        } catch (error) {
+            // What is cached may be ahead of Redis now; start over from Redis
+            if (lock) await this.evict(equipmentId);
+            throw error;
+        } finally {
+            if (hold) hold.release();
+            if (ticket) await this.redisClient.zRem(pendingKey, ticket);
+            if (lock) await this.unlock(equipmentId, lock.token);
+        }
+    }
+
+    // 'new', 'late' (a newer sample of the equipment was processed already) or
+    // 'duplicate'. Samples are told apart by equipment and timestamp.
+    async claim(data) {
+        const key = Coordinator.samplesKey(data.source.equipmentId);
+        const time = Date.parse(data.timestamp);
+        const [added, [newest]] = await this.redisClient.multi()
+            .zAdd(key, { score: time, value: String(time) }, { NX: true })
+            .zRange(key, -1, -1)
+            .zRemRangeByScore(key, '-inf', time - this.dedupWindow)
+            .pExpire(key, this.dedupWindow)
+            .exec();
+
+        if (added === 0) {
+            this.duplicates++;
+            return 'duplicate';
+        }
+        if (Number(newest) > time) {
+            this.late++;
+            return 'late';
+        }
+        return 'new';
+    }
+
+    // For a sample that failed, so that it can be processed again
+    async unclaim(data) {
+        const time = Date.parse(data.timestamp);
+        await this.redisClient.zRem(Coordinator.samplesKey(data.source.equipmentId), String(time));
+    }
+
+    start() {
+        if (this.shared && !this.timer) {
+            this.campaign();
+            this.timer = setInterval(() => this.campaign(), this.leaderTtl / 3);
+        }
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.shared && this.leader) {
+            this.leader = false;
+            await this.redisClient.eval(RELEASE, { keys: [this.leaderKey()], arguments: [this.instanceId] });
+        }
+    }
+
+    // Takes the lead when nobody holds it, and keeps renewing it while holding it
+    async campaign() {
+        let leader;
+        try {
+            leader = this.leader
+                ? await this.redisClient.eval(RENEW, { keys: [this.leaderKey()], arguments: [this.instanceId, String(this.leaderTtl)] }) === 1
+                : await this.redisClient.set(this.leaderKey(), this.instanceId, { NX: true, PX: this.leaderTtl }) !== null;
+        } catch (error) {
+            console.error('Error electing the leader processor:', error.message);
+            leader = false;
+        }
+        if (leader !== this.leader) {
+            this.leader = leader;
+            console.log(`Processor ${this.instanceId} ${leader ? 'now leads' : 'no longer leads'} group ${this.group}`);
+        }
+    }
+
+    // Every processor records when it last had a sample of an equipment; the leader
+    // watches them all
+    async seen(equipmentId, time = Date.now()) {
+        await this.redisClient.zAdd(this.lastSeenKey(), { score: time, value: equipmentId });
+    }
+
+    // [[equipmentId, time]], or null while another processor leads
+    async lastSeen() {
+        if (!this.leader) return null;
+        const entries = await this.redisClient.zRangeWithScores(this.lastSeenKey(), 0, -1);
+        return entries.map(entry => [entry.value, entry.score]);
+    }
+
+    async forget(equipmentId) {
+        await this.redisClient.del([Coordinator.ownerKey(equipmentId), Coordinator.samplesKey(equipmentId), Coordinator.pendingKey(equipmentId)]);
+        if (this.shared) {
+            await this.redisClient.zRem(this.lastSeenKey(), equipmentId);
+        }
+    }
+
+    stats() {
+        return {
+            group: this.group,
+            instanceId: this.instanceId,
+            leader: this.leader,
+            handovers: this.handovers,
+            lockWaits: this.lockWaits,
+            lostLocks: this.lostLocks,
+            duplicates: this.duplicates,
+            late: this.late
+        };
+    }
+}
+
+module.exports = { Coordinator };
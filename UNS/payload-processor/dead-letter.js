@@ -0,0 +1,137 @@
+const { ObjectId } = require('mongodb');
+
+const DLQ_TOPIC_PREFIX = 'uns/_system/dlq';
+
+// Thrown by the processing pipeline for messages that belong in the dead-letter queue.
+// stage is PARSE, VALIDATION, TRANSFORM or OUTPUT_VALIDATION; anything else thrown
+// while processing is recorded as PROCESSING.
+class RejectedMessageError extends Error {
+    constructor(stage, message, details = [], schema = null) {
+        super(message);
+        this.name = 'RejectedMessageError';
+        this.stage = stage;
+        this.details = details;
+        this.schema = schema;
+    }
+}
+
+// Rejected messages are kept in MongoDB with their original topic and bytes, and
+// announced on uns/_system/dlq/<original topic>. They can be edited and
+// re-submitted through the pipeline until they go through.
+class DeadLetterQueue {
+    constructor(options) {
+        this.collection = options.db.collection('dead_letters');
+        this.mqttClient = options.mqttClient;
+        this.reprocess = options.reprocess; // async (topic, Buffer) => throws on rejection
+    }
+
+    static errorInfo(error) {
+        if (error instanceof RejectedMessageError) {
+            return { stage: error.stage, message: error.message, details: error.details, schema: error.schema };
+        }
+        return { stage: 'PROCESSING', message: error.message, details: [], schema: null };
+    }
+
+    async add(topic, message, error) {
+        const rejection = DeadLetterQueue.errorInfo(error);
+        const document = {
+            topic,
+            payload: message.toString('utf8'),
+            payloadBase64: Buffer.from(message).toString('base64'),
+            stage: rejection.stage,
+            error: rejection.message,
+            details: rejection.details,
+            schema: rejection.schema,
+            status: 'PENDING',
+            rejectedAt: new Date(),
+            attempts: []
+        };
+
+        const result = await this.collection.insertOne(document);
+        document._id = result.insertedId;
+        this.announce(document);
+        return document;
+    }
+
+    announce(document) {
+        const topic = `${DLQ_TOPIC_PREFIX}/${document.topic}`;
+        this.mqttClient.publish(topic, JSON.stringify(document), { qos: 1 }, (error) => {
+            if (error) {
+                console.error(`Error publishing dead letter to ${topic}:`, error);
+            }
+        });
+    }
+
+    static parseId(id) {
+        return ObjectId.isValid(id) ? new ObjectId(id) : null;
+    }
+
+    async list(filter = {}) {
+        const query = {};
+        if (filter.status) query.status = filter.status;
+        if (filter.stage) query.stage = filter.stage;
+        if (filter.topic) query.topic = filter.topic;
+
+        return this.collection.find(query, { projection: { payloadBase64: 0 } })
+            .sort({ rejectedAt: -1 })
+            .skip(filter.skip || 0)
+            .limit(filter.limit || 100)
+            .toArray();
+    }
+
+    async stats() {
+        const counts = await this.collection.aggregate([
+            { $group: { _id: { stage: '$stage', status: '$status' }, count: { $sum: 1 }, lastRejectedAt: { $max: '$rejectedAt' } } },
+            { $sort: { '_id.stage': 1, '_id.status': 1 } }
+        ]).toArray();
+
+        return counts.map(entry => ({
+            stage: entry._id.stage,
+            status: entry._id.status,
+            count: entry.count,
+            lastRejectedAt: entry.lastRejectedAt
+        }));
+    }
+
+    async get(id) {
+        const objectId = DeadLetterQueue.parseId(id);
+        return objectId ? this.collection.findOne({ _id: objectId }) : null;
+    }
+
+    // Replaces the payload to re-submit; the original bytes stay in payloadBase64
+    async edit(id, payload) {
+        const objectId = DeadLetterQueue.parseId(id);
+        if (!objectId) return null;
+
+        const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        return this.collection.findOneAndUpdate(
+            { _id: objectId, status: 'PENDING' },
+            { $set: { payload: text, editedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+    }
+
+    async resubmit(id) {
+        const document = await this.get(id);
+        if (!document || document.status !== 'PENDING') return document;
+
+        const attempt = { at: new Date(), status: 'RESOLVED' };
+        try {
+            await this.reprocess(document.topic, Buffer.from(document.payload, 'utf8'));
+        } catch (error) {
+            const rejection = DeadLetterQueue.errorInfo(error);
+            Object.assign(attempt, { status: 'REJECTED', stage: rejection.stage, error: rejection.message, details: rejection.details });
+        }
+
+        const update = { $push: { attempts: attempt } };
+        if (attempt.status === 'RESOLVED') {
+            update.$set = { status: 'RESOLVED', resolvedAt: attempt.at };
+        } else {
+            update.$set = { stage: attempt.stage, error: attempt.error, details: attempt.details };
+        }
+
+        return this.collection.findOneAndUpdate({ _id: document._id }, update, { returnDocument: 'after' });
+    }
+}
+
+module.exports = { DeadLetterQueue, RejectedMessageError, DLQ_TOPIC_PREFIX };
@@ -0,0 +1,455 @@
+const { BatchWriter } = require('./batch-writer');
+
+const DAY = 24 * 60 * 60; // seconds
+
+// Rollup resolutions, each built from the one before it (1m from raw samples)
+const RESOLUTIONS = [
+    { name: '1m', ms: 60 * 1000, collection: 'measurements_1m' },
+    { name: '1h', ms: 60 * 60 * 1000, collection: 'measurements_1h' },
+    { name: '1d', ms: 24 * 60 * 60 * 1000, collection: 'measurements_1d' }
+];
+
+// Numeric fields of the standardized document kept besides the process parameters
+const DOCUMENT_METRICS = {
+    availability: data => data.equipment.availability,
+    efficiency: data => data.equipment.performance?.efficiency,
+    cycleCount: data => data.equipment.performance?.cycleCount,
+    runtimeHours: data => data.equipment.performance?.runtimeHours,
+    goodParts: data => data.quality?.goodParts,
+    badParts: data => data.quality?.badParts,
+    rejectRate: data => data.quality?.rejectRate,
+    lastMaintenanceHours: data => data.maintenance?.lastMaintenanceHours
+};
+
+// A sample counts for at most this long, so an outage is neither booked to the last
+// state seen before it nor interpolated over
+const MAX_GAP = 5 * 60 * 1000;
+
+const STATE_METRIC = 'state';
+const DIRTY_BATCH = 500;
+
+function bucketStart(time, resolution) {
+    return Math.floor(time / resolution.ms) * resolution.ms;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function interpolate(before, after, time) {
+    const t0 = before.timestamp.getTime();
+    const t1 = after.timestamp.getTime();
+    return t1 === t0 ? after.value : before.value + (after.value - before.value) * (time - t0) / (t1 - t0);
+}
+
+// Running aggregates of one window, fed its samples in time order together with the
+// last sample before it and the first one after it, so that a window of any length
+// takes constant memory. The time-weighted average is the average over the window of
+// the line through the samples (trapezoids), leaving out gaps longer than MAX_GAP;
+// for the state metric each state lasts until the next sample, at most MAX_GAP.
+class WindowSummary {
+    constructor(metric, window, before) {
+        this.metric = metric;
+        this.window = window;
+        this.previous = before;
+        this.count = 0;
+        this.sum = 0;
+        this.min = null;
+        this.max = null;
+        this.last = null;
+        this.area = 0;
+        this.covered = 0;
+        this.durations = {};
+    }
+
+    add(sample) {
+        if (this.metric === STATE_METRIC) {
+            this.credit(sample.timestamp.getTime());
+        } else {
+            this.count++;
+            this.sum += sample.value;
+            this.min = this.min === null ? sample.value : Math.min(this.min, sample.value);
+            this.max = this.max === null ? sample.value : Math.max(this.max, sample.value);
+            this.last = sample.value;
+            this.trapezoid(sample);
+        }
+        this.previous = sample;
+    }
+
+    // Time in the window of the previous state, until next
+    credit(next) {
+        if (!this.previous) return;
+        const time = this.previous.timestamp.getTime();
+        const until = Math.min(next, time + MAX_GAP, this.window.end, Date.now());
+        const since = Math.max(time, this.window.start);
+        if (until > since) {
+            const state = this.previous.state;
+            this.durations[state] = round((this.durations[state] || 0) + (until - since) / 1000);
+        }
+    }
+
+    trapezoid(sample) {
+        if (!this.previous) return;
+        const [a, b] = [this.previous, sample];
+        const [ta, tb] = [a.timestamp.getTime(), b.timestamp.getTime()];
+        const since = Math.max(ta, this.window.start);
+        const until = Math.min(tb, this.window.end);
+        if (tb - ta > MAX_GAP || until <= since) return;
+        this.area += (interpolate(a, b, since) + interpolate(a, b, until)) / 2 * (until - since);
+        this.covered += until - since;
+    }
+
+    close(after) {
+        const timestamp = new Date(this.window.bucket).toISOString();
+        if (this.metric === STATE_METRIC) {
+            this.credit(after ? after.timestamp.getTime() : Infinity);
+            return { timestamp, durations: this.durations };
+        }
+        if (after) this.trapezoid(after);
+        return {
+            timestamp,
+            avg: this.count > 0 ? round(this.sum / this.count) : null,
+            min: this.min,
+            max: this.max,
+            last: this.last,
+            count: this.count,
+            twa: this.covered > 0 ? round(this.area / this.covered) : null
+        };
+    }
+}
+
+// Seconds spent in each state within [from, to), from state samples in time order;
+// the first may be from before the range
+function stateDurations(samples, from, to) {
+    const end = Math.min(to, Date.now());
+    const durations = {};
+    samples.forEach((sample, i) => {
+        const time = sample.timestamp.getTime();
+        const next = i + 1 < samples.length ? samples[i + 1].timestamp.getTime() : end;
+        const until = Math.min(next, time + MAX_GAP, end);
+        const since = Math.max(time, from);
+        if (until > since) {
+            durations[sample.state] = round((durations[sample.state] || 0) + (until - since) / 1000);
+        }
+    });
+    return durations;
+}
+
+// Splits standardized documents into one sample per metric in a MongoDB time-series
+// collection, and rolls them up into 1 minute, 1 hour and 1 day buckets with
+// min/max/avg/count (and time spent per state) in the background. Buckets touched
+// by new samples are queued in Redis (historian:dirty:<resolution>) and recomputed
+// from the level below, so late data and restarts never leave a rollup wrong.
+// Every collection expires its documents after its own retention.
+class Historian {
+    constructor(options) {
+        this.db = options.db;
+        this.redisClient = options.redisClient;
+        this.retention = options.retention; // days, by 'raw', '1m', '1h', '1d'
+        this.rollupInterval = (options.rollupInterval || 30) * 1000;
+        this.timer = null;
+        this.rolling = null;
+
+        this.writer = new BatchWriter({
+            collection: this.db.collection('measurements'),
+            batchSize: options.batchSize,
+            flushInterval: options.flushInterval,
+            maxPending: options.maxPending,
+            onWritten: samples => this.markDirty(RESOLUTIONS[0], samples.map(sample => [sample.meta.equipmentId, sample.timestamp.getTime()]))
+        });
+
+        this.rollups = 0;
+        this.lastRollup = null; // { buckets, durationMs, at }
+    }
+
+    static dirtyKey(resolution) {
+        return `historian:dirty:${resolution.name}`;
+    }
+
+    static settlingKey(resolution) {
+        return `historian:settling:${resolution.name}`;
+    }
+
+    async ensureCollections() {
+        const existing = new Set((await this.db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name));
+        const rawTtl = this.retention.raw * DAY;
+
+        if (!existing.has('measurements')) {
+            await this.db.createCollection('measurements', {
+                timeseries: { timeField: 'timestamp', metaField: 'meta', granularity: 'seconds' },
+                expireAfterSeconds: rawTtl
+            });
+        } else {
+            await this.db.command({ collMod: 'measurements', expireAfterSeconds: rawTtl });
+        }
+        await this.db.collection('measurements').createIndex({ 'meta.equipmentId': 1, 'meta.metric': 1, timestamp: 1 });
+
+        for (const resolution of RESOLUTIONS) {
+            const collection = this.db.collection(resolution.collection);
+            await collection.createIndex({ equipmentId: 1, metric: 1, bucket: 1 }, { unique: true });
+            await this.ensureTtl(resolution.collection, { bucket: 1 }, this.retention[resolution.name] * DAY);
+        }
+        await this.ensureTtl('equipment_data', { createdAt: 1 }, this.retention.raw * DAY);
+    }
+
+    // Creates a TTL index, or changes its expiry if it exists with another one
+    async ensureTtl(name, key, seconds) {
+        try {
+            await this.db.collection(name).createIndex(key, { expireAfterSeconds: seconds });
+        } catch (error) {
+            if (error.codeName !== 'IndexOptionsConflict') throw error;
+            await this.db.command({ collMod: name, index: { keyPattern: key, expireAfterSeconds: seconds } });
+        }
+    }
+
+    samples(data) {
+        const timestamp = new Date(data.timestamp);
+        const equipmentId = data.source.equipmentId;
+        const samples = [];
+
+        Object.entries(data.process?.parameters || {}).forEach(([name, parameter]) => {
+            if (typeof parameter.value === 'number') {
+                samples.push({ timestamp, meta: { equipmentId, metric: name }, value: parameter.value, unit: parameter.unit, quality: parameter.quality });
+            }
+        });
+        Object.entries(DOCUMENT_METRICS).forEach(([metric, read]) => {
+            const value = read(data);
+            if (typeof value === 'number') {
+                samples.push({ timestamp, meta: { equipmentId, metric }, value });
+            }
+        });
+        if (data.maintenance?.currentState) {
+            samples.push({ timestamp, meta: { equipmentId, metric: STATE_METRIC }, state: data.maintenance.currentState });
+        }
+        return samples;
+    }
+
+    // written() is called once every sample of the document is written
+    async record(data, written = null) {
+        const samples = this.samples(data);
+        let remaining = samples.length;
+        const sampleWritten = written && (() => {
+            if (--remaining === 0) written();
+        });
+        if (samples.length === 0 && written) {
+            written();
+        }
+        for (const sample of samples) {
+            await this.writer.add(sample, sampleWritten);
+        }
+    }
+
+    async markDirty(resolution, points) {
+        const members = new Set(points.map(([equipmentId, time]) => `${equipmentId}|${bucketStart(time, resolution)}`));
+        if (members.size > 0) {
+            await this.redisClient.sAdd(Historian.dirtyKey(resolution), Array.from(members));
+        }
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.runRollups(), this.rollupInterval);
+        }
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.rolling;
+        await this.writer.close();
+    }
+
+    runRollups() {
+        if (!this.rolling) {
+            const started = Date.now();
+            this.rolling = this.rollUp()
+                .then(buckets => {
+                    this.rollups += buckets;
+                    this.lastRollup = { buckets, durationMs: Date.now() - started, at: new Date().toISOString() };
+                })
+                .catch(error => console.error('Error rolling up measurements:', error))
+                .finally(() => { this.rolling = null; });
+        }
+        return this.rolling;
+    }
+
+    // Works off the dirty buckets of each resolution in turn; SPOP hands every
+    // bucket to one processor only
+    async rollUp() {
+        let buckets = 0;
+        await this.settle(RESOLUTIONS[0]);
+        for (const [index, resolution] of RESOLUTIONS.entries()) {
+            let dirty;
+            do {
+                dirty = await this.redisClient.sPop(Historian.dirtyKey(resolution), DIRTY_BATCH);
+                for (const [i, member] of dirty.entries()) {
+                    const separator = member.lastIndexOf('|');
+                    try {
+                        await this.rollUpBucket(index, member.slice(0, separator), Number(member.slice(separator + 1)));
+                        buckets++;
+                    } catch (error) {
+                        // Put back what is left for the next run
+                        await this.redisClient.sAdd(Historian.dirtyKey(resolution), dirty.slice(i));
+                        throw error;
+                    }
+                }
+            } while (dirty.length === DIRTY_BATCH);
+        }
+        return buckets;
+    }
+
+    async rollUpBucket(index, equipmentId, start) {
+        const resolution = RESOLUTIONS[index];
+        const from = new Date(start);
+        const to = new Date(start + resolution.ms);
+        const rollups = index === 0
+            ? await this.fromSamples(equipmentId, from, to)
+            : await this.fromRollups(RESOLUTIONS[index - 1], equipmentId, from, to);
+
+        if (rollups.length > 0) {
+            const updatedAt = new Date();
+            await this.db.collection(resolution.collection).bulkWrite(rollups.map(rollup => ({
+                replaceOne: {
+                    filter: { equipmentId, metric: rollup.metric, bucket: from },
+                    replacement: { equipmentId, bucket: from, resolution: resolution.name, ...rollup, updatedAt },
+                    upsert: true
+                }
+            })), { ordered: false });
+        }
+
+        const parent = RESOLUTIONS[index + 1];
+        if (parent) {
+            await this.markDirty(parent, [[equipmentId, start]]);
+        }
+        // A minute rolled up before it ended only counts up to now, and the sample after
+        // it may come up to MAX_GAP later: compute it once more when nothing can change
+        // it any more. Coarser buckets follow, as their last minute marks them dirty.
+        const settled = start + resolution.ms + MAX_GAP;
+        if (index === 0 && settled > Date.now()) {
+            await this.redisClient.zAdd(Historian.settlingKey(resolution), { score: settled, value: `${equipmentId}|${start}` });
+        }
+    }
+
+    // Marks the buckets that have settled since they were last rolled up dirty
+    async settle(resolution) {
+        const key = Historian.settlingKey(resolution);
+        const due = await this.redisClient.zRangeByScore(key, 0, Date.now());
+        if (due.length > 0) {
+            await this.redisClient.sAdd(Historian.dirtyKey(resolution), due);
+            await this.redisClient.zRem(key, due);
+        }
+    }
+
+    // Every numeric rollup keeps the area under the line through its samples and the
+    // time it covers (seconds), so coarser buckets and queries can fold them into a
+    // time-weighted average
+    async fromSamples(equipmentId, from, to) {
+        const samples = await this.db.collection('measurements')
+            .find({ 'meta.equipmentId': equipmentId, timestamp: { $gte: from, $lt: to } })
+            .sort({ timestamp: 1 })
+            .toArray();
+
+        const byMetric = new Map();
+        samples.forEach(sample => {
+            const metric = sample.meta.metric;
+            if (!byMetric.has(metric)) byMetric.set(metric, []);
+            byMetric.get(metric).push(sample);
+        });
+
+        const window = { bucket: from.getTime(), start: from.getTime(), end: to.getTime() };
+        return Promise.all(Array.from(byMetric, async ([metric, inBucket]) => {
+            const first = inBucket[0];
+            const last = inBucket[inBucket.length - 1];
+            // The line (or state) at the start of the bucket comes from the last sample before it
+            const before = await this.neighbour(equipmentId, metric, from, -1);
+            if (metric === STATE_METRIC) {
+                return {
+                    metric,
+                    count: inBucket.length,
+                    first: first.state,
+                    last: last.state,
+                    durations: stateDurations(before ? [before, ...inBucket] : inBucket, window.start, window.end)
+                };
+            }
+
+            const summary = new WindowSummary(metric, window, before);
+            inBucket.forEach(sample => summary.add(sample));
+            const after = await this.neighbour(equipmentId, metric, to, 1);
+            if (after) summary.trapezoid(after);
+            return {
+                metric,
+                min: summary.min,
+                max: summary.max,
+                sum: summary.sum,
+                count: summary.count,
+                first: first.value,
+                last: summary.last,
+                unit: last.unit ?? null,
+                avg: round(summary.sum / summary.count),
+                area: round(summary.area / 1000),
+                covered: round(summary.covered / 1000)
+            };
+        }));
+    }
+
+    // The closest sample of a metric before (-1) or from (1) time, within MAX_GAP
+    neighbour(equipmentId, metric, time, direction) {
+        const range = direction < 0
+            ? { $lt: time, $gte: new Date(time.getTime() - MAX_GAP) }
+            : { $gte: time, $lt: new Date(time.getTime() + MAX_GAP) };
+        return this.db.collection('measurements').findOne(
+            { 'meta.equipmentId': equipmentId, 'meta.metric': metric, timestamp: range },
+            { sort: { timestamp: direction } }
+        );
+    }
+
+    async fromRollups(source, equipmentId, from, to) {
+        const buckets = await this.db.collection(source.collection)
+            .find({ equipmentId, bucket: { $gte: from, $lt: to } })
+            .sort({ bucket: 1 })
+            .toArray();
+
+        const byMetric = new Map();
+        buckets.forEach(bucket => {
+            const rollup = byMetric.get(bucket.metric);
+            if (!rollup) {
+                const { metric, min, max, sum, count, first, last, unit, area, covered, durations } = bucket;
+                byMetric.set(metric, { metric, min, max, sum, count, first, last, unit, area, covered, durations: durations && { ...durations } });
+                return;
+            }
+            rollup.count += bucket.count;
+            rollup.last = bucket.last;
+            if (bucket.durations) {
+                Object.entries(bucket.durations).forEach(([state, seconds]) => {
+                    rollup.durations[state] = round((rollup.durations[state] || 0) + seconds);
+                });
+            } else {
+                rollup.min = Math.min(rollup.min, bucket.min);
+                rollup.max = Math.max(rollup.max, bucket.max);
+                rollup.sum += bucket.sum;
+                rollup.area = round(rollup.area + bucket.area);
+                rollup.covered = round(rollup.covered + bucket.covered);
+                rollup.unit = bucket.unit;
+            }
+        });
+
+        return Array.from(byMetric.values()).map(rollup => {
+            if (rollup.durations) {
+                const { min, max, sum, unit, area, covered, ...state } = rollup;
+                return state;
+            }
+            const { durations, ...numeric } = rollup;
+            return { ...numeric, avg: round(numeric.sum / numeric.count) };
+        });
+    }
+
+    stats() {
+        return {
+            writer: this.writer.stats(),
+            rollups: this.rollups,
+            lastRollup: this.lastRollup
+        };
+    }
+}
+
+module.exports = { Historian, WindowSummary, RESOLUTIONS, STATE_METRIC, MAX_GAP, interpolate, stateDurations, round };
@@ -0,0 +1,337 @@
+const { RESOLUTIONS, STATE_METRIC, MAX_GAP, WindowSummary, interpolate, round } = require('./historian');
+
+const MODES = ['raw', 'interpolated', 'aggregated'];
+const AGGREGATES = ['avg', 'min', 'max', 'last', 'count', 'twa'];
+const SOURCES = ['raw', ...RESOLUTIONS.map(resolution => resolution.name)];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DAY = DURATION_UNITS.d;
+
+const DEFAULT_RANGE = 60 * 60 * 1000;
+const MAX_POINTS = 10000; // interpolated points or aggregation buckets per request
+const MAX_RAW_LIMIT = 100000;
+
+// A query that cannot be answered as asked; the API answers 400
+class HistoryQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HistoryQueryError';
+    }
+}
+
+// ISO 8601 or epoch milliseconds
+function parseTime(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new HistoryQueryError(`${name} must be an ISO 8601 time or epoch milliseconds`);
+    }
+    return time;
+}
+
+// 500ms, 30s, 5m, 1h, 1d; a bare number is seconds
+function parseInterval(value) {
+    if (value === undefined || value === '') return null;
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(value);
+    const interval = match ? Math.round(Number(match[1]) * DURATION_UNITS[match[2] || 's']) : 0;
+    if (interval <= 0) {
+        throw new HistoryQueryError('interval must be a positive duration such as 30s, 5m, 1h or 1d');
+    }
+    return interval;
+}
+
+function worstQuality(...samples) {
+    const qualities = samples.map(sample => sample.quality || 'Good');
+    return ['Bad', 'Uncertain'].find(quality => qualities.includes(quality)) || 'Good';
+}
+
+// Rows as CSV; nested objects (state durations) become one column per key
+function toCsv(rows) {
+    const flat = rows.map(row => {
+        const result = {};
+        Object.entries(row).forEach(([key, value]) => {
+            if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([inner, innerValue]) => { result[inner] = innerValue; });
+            } else {
+                result[key] = value;
+            }
+        });
+        return result;
+    });
+    const columns = [];
+    flat.forEach(row => Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+    }));
+    const cell = value => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...flat.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
+
+// Answers history queries from the historian collections: raw samples, values
+// interpolated at a fixed interval, and per-bucket aggregates (avg, min, max, last,
+// count, time-weighted average, or time per state for the state metric). Aggregates
+// come from the raw samples while they are retained and from the finest rollup that
+// fits the interval after that.
+class HistoryQuery {
+    constructor(options) {
+        this.db = options.db;
+        this.retention = options.retention; // days, by 'raw', '1m', '1h', '1d'
+        this.measurements = this.db.collection('measurements');
+    }
+
+    async metrics(equipmentId) {
+        const metrics = await this.measurements.distinct('meta.metric', { 'meta.equipmentId': equipmentId });
+        return metrics.sort();
+    }
+
+    async query(equipmentId, metric, params = {}) {
+        const mode = params.mode || 'raw';
+        if (!MODES.includes(mode)) {
+            throw new HistoryQueryError(`mode must be one of ${MODES.join(', ')}`);
+        }
+        const to = parseTime(params.to, 'to') ?? Date.now();
+        const from = parseTime(params.from, 'from') ?? to - DEFAULT_RANGE;
+        if (from >= to) {
+            throw new HistoryQueryError('from must be before to');
+        }
+        const interval = parseInterval(params.interval);
+        const range = { equipmentId, metric, mode, from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+
+        if (mode === 'raw') {
+            const limit = Math.min(parseInt(params.limit) || 10000, MAX_RAW_LIMIT);
+            return { ...range, ...(await this.raw(equipmentId, metric, from, to, limit)) };
+        }
+        if (mode === 'interpolated') {
+            if (!interval) {
+                throw new HistoryQueryError('interpolated mode needs an interval');
+            }
+            this.checkPoints((to - from) / interval);
+            return { ...range, interval: interval / 1000, ...(await this.interpolated(equipmentId, metric, from, to, interval)) };
+        }
+
+        const aggregates = params.aggregates ? params.aggregates.split(',') : AGGREGATES;
+        const unknown = aggregates.filter(aggregate => !AGGREGATES.includes(aggregate));
+        if (unknown.length > 0) {
+            throw new HistoryQueryError(`unknown aggregate(s) ${unknown.join(', ')} (expected ${AGGREGATES.join(', ')})`);
+        }
+        const source = this.chooseSource(params.source, from, interval);
+        const windows = this.windows(from, to, interval);
+        const result = source === 'raw'
+            ? await this.aggregateSamples(equipmentId, metric, windows)
+            : await this.aggregateRollups(RESOLUTIONS.find(resolution => resolution.name === source), equipmentId, metric, windows);
+        if (metric !== STATE_METRIC) {
+            result.points = result.points.map(point => {
+                const selected = { timestamp: point.timestamp };
+                aggregates.forEach(aggregate => { selected[aggregate] = point[aggregate]; });
+                return selected;
+            });
+        }
+        return { ...range, interval: interval ? interval / 1000 : (to - from) / 1000, source, ...result };
+    }
+
+    checkPoints(count) {
+        if (count > MAX_POINTS) {
+            throw new HistoryQueryError(`the query would return ${Math.ceil(count)} points, at most ${MAX_POINTS} are allowed; use a longer interval or a shorter range`);
+        }
+    }
+
+    // The raw samples while they are retained, otherwise the finest rollup the
+    // interval is a multiple of and whose retention still covers from
+    chooseSource(requested, from, interval) {
+        const fits = resolution => !interval || interval % resolution.ms === 0;
+        if (requested) {
+            if (!SOURCES.includes(requested)) {
+                throw new HistoryQueryError(`source must be one of ${SOURCES.join(', ')}`);
+            }
+            const resolution = RESOLUTIONS.find(candidate => candidate.name === requested);
+            if (resolution && !fits(resolution)) {
+                throw new HistoryQueryError(`the interval must be a multiple of ${resolution.name} to aggregate ${resolution.name} rollups`);
+            }
+            return requested;
+        }
+
+        const retained = name => from >= Date.now() - this.retention[name] * DAY;
+        if (retained('raw')) return 'raw';
+        const candidates = RESOLUTIONS.filter(fits);
+        const resolution = candidates.find(candidate => retained(candidate.name)) || candidates[candidates.length - 1];
+        return resolution ? resolution.name : 'raw';
+    }
+
+    // Buckets aligned to multiples of the interval (UTC), clipped to the range; one
+    // bucket for the whole range without an interval
+    windows(from, to, interval) {
+        if (!interval) {
+            return [{ bucket: from, start: from, end: to }];
+        }
+        const first = Math.floor(from / interval) * interval;
+        this.checkPoints((to - first) / interval);
+        const windows = [];
+        for (let bucket = first; bucket < to; bucket += interval) {
+            windows.push({ bucket, start: Math.max(bucket, from), end: Math.min(bucket + interval, to) });
+        }
+        return windows;
+    }
+
+    samples(equipmentId, metric, from, to) {
+        return this.measurements
+            .find({ 'meta.equipmentId': equipmentId, 'meta.metric': metric, timestamp: { $gte: new Date(from), $lt: new Date(to) } })
+            .project({ _id: 0, meta: 0 })
+            .sort({ timestamp: 1 });
+    }
+
+    async raw(equipmentId, metric, from, to, limit) {
+        const samples = await this.samples(equipmentId, metric, from, to).limit(limit + 1).toArray();
+        const truncated = samples.length > limit;
+        const points = samples.slice(0, limit).map(sample => metric === STATE_METRIC
+            ? { timestamp: sample.timestamp.toISOString(), state: sample.state }
+            : { timestamp: sample.timestamp.toISOString(), value: sample.value, quality: sample.quality });
+        return { unit: samples.length ? samples[samples.length - 1].unit ?? null : null, truncated, points };
+    }
+
+    // Linear between the samples around each time, the last state for the state
+    // metric; null where the nearest samples are further apart than MAX_GAP
+    async interpolated(equipmentId, metric, from, to, interval) {
+        const times = [];
+        for (let time = from; time <= to; time += interval) {
+            times.push(time);
+        }
+
+        const points = [];
+        let unit = null;
+        let before = null;
+        const emit = (time, after) => {
+            let value = null;
+            let quality = null;
+            if (before && before.timestamp.getTime() === time) {
+                value = metric === STATE_METRIC ? before.state : before.value;
+                quality = before.quality ?? null;
+            } else if (metric === STATE_METRIC) {
+                value = before && time - before.timestamp.getTime() <= MAX_GAP ? before.state : null;
+            } else if (before && after && after.timestamp.getTime() - before.timestamp.getTime() <= MAX_GAP) {
+                value = round(interpolate(before, after, time));
+                quality = worstQuality(before, after);
+            }
+            points.push(metric === STATE_METRIC
+                ? { timestamp: new Date(time).toISOString(), state: value }
+                : { timestamp: new Date(time).toISOString(), value, quality });
+        };
+
+        let next = 0;
+        for await (const sample of this.samples(equipmentId, metric, from - MAX_GAP, to + MAX_GAP)) {
+            while (next < times.length && times[next] < sample.timestamp.getTime()) {
+                emit(times[next++], sample);
+            }
+            before = sample;
+            unit = sample.unit ?? unit;
+            if (next >= times.length) break;
+        }
+        while (next < times.length) {
+            emit(times[next++], null);
+        }
+        return { unit, points };
+    }
+
+    // Streams the samples once, keeping only the running aggregates of the current
+    // bucket in memory
+    async aggregateSamples(equipmentId, metric, windows) {
+        const points = [];
+        let unit = null;
+        let current = 0;
+        let summary = new WindowSummary(metric, windows[0], null);
+
+        const close = after => {
+            points.push(summary.close(after));
+            // The last sample seen is the one before the next bucket
+            if (++current < windows.length) summary = new WindowSummary(metric, windows[current], summary.previous);
+        };
+
+        const first = windows[0].start;
+        const last = windows[windows.length - 1].end;
+        for await (const sample of this.samples(equipmentId, metric, first - MAX_GAP, last + MAX_GAP)) {
+            const time = sample.timestamp.getTime();
+            while (current < windows.length && time >= windows[current].end) {
+                close(sample);
+            }
+            if (current >= windows.length) break;
+            if (time < windows[current].start) {
+                summary.previous = sample;
+            } else {
+                summary.add(sample);
+                unit = sample.unit ?? unit;
+            }
+        }
+        while (current < windows.length) {
+            close(null);
+        }
+        return metric === STATE_METRIC ? { points, totals: this.totals(points) } : { unit, points };
+    }
+
+    // The time-weighted average folds the area under the line and the time covered
+    // that every rollup keeps
+    async aggregateRollups(resolution, equipmentId, metric, windows) {
+        const first = windows[0].bucket;
+        const last = windows[windows.length - 1].end;
+        const cursor = this.db.collection(resolution.collection)
+            .find({ equipmentId, metric, bucket: { $gte: new Date(first), $lt: new Date(last) } })
+            .sort({ bucket: 1 });
+
+        // Running aggregates per bucket, folded in as the rollups stream by
+        const folded = windows.map(window => ({ window, rollups: 0, count: 0, sum: 0, min: null, max: null, last: null, area: 0, covered: 0, durations: {} }));
+        let current = 0;
+        let unit = null;
+        for await (const rollup of cursor) {
+            const time = rollup.bucket.getTime();
+            while (current < windows.length && time >= windows[current].end) current++;
+            if (current >= windows.length) break;
+            const fold = folded[current];
+            fold.rollups++;
+            if (metric === STATE_METRIC) {
+                Object.entries(rollup.durations || {}).forEach(([state, seconds]) => {
+                    fold.durations[state] = round((fold.durations[state] || 0) + seconds);
+                });
+            } else {
+                fold.count += rollup.count;
+                fold.sum += rollup.sum;
+                fold.min = fold.min === null ? rollup.min : Math.min(fold.min, rollup.min);
+                fold.max = fold.max === null ? rollup.max : Math.max(fold.max, rollup.max);
+                fold.last = rollup.last;
+                fold.area += rollup.area;
+                fold.covered += rollup.covered;
+            }
+            unit = rollup.unit ?? unit;
+        }
+
+        const points = folded.map(fold => {
+            const timestamp = new Date(fold.window.bucket).toISOString();
+            if (metric === STATE_METRIC) {
+                return { timestamp, durations: fold.durations };
+            }
+            if (fold.rollups === 0) {
+                return { timestamp, avg: null, min: null, max: null, last: null, count: 0, twa: null };
+            }
+            return {
+                timestamp,
+                avg: round(fold.sum / fold.count),
+                min: fold.min,
+                max: fold.max,
+                last: fold.last,
+                count: fold.count,
+                twa: fold.covered > 0 ? round(fold.area / fold.covered) : null
+            };
+        });
+        return metric === STATE_METRIC ? { points, totals: this.totals(points) } : { unit, points };
+    }
+
+    // Seconds per state over the whole range
+    totals(points) {
+        const totals = {};
+        points.forEach(point => Object.entries(point.durations).forEach(([state, seconds]) => {
+            totals[state] = round((totals[state] || 0) + seconds);
+        }));
+        return totals;
+    }
+}
+
+module.exports = { HistoryQuery, HistoryQueryError, toCsv };
@@ -0,0 +1,126 @@
+const ALIVE_PREFIX = 'payload-processor:alive:';
+const INBOX_PREFIX = 'payload-processor:inbox:';
+
+// Keeps every raw message in Redis (payload-processor:inbox:<instanceId>) from before
+// it is acknowledged to the broker until what it produced is written to MongoDB, so
+// messages that are queued or buffered when a processor dies are not lost. A
+// processor keeps payload-processor:alive:<instanceId> set while it runs; the inbox
+// of one whose key expired is taken over and replayed by another processor, or by
+// itself when it starts again under the same INSTANCE_ID.
+class Inbox {
+    constructor(options) {
+        this.redisClient = options.redisClient;
+        this.instanceId = options.instanceId;
+        this.ttl = (options.ttl ?? 30) * 1000;
+        this.replay = options.replay; // (topic, Buffer, id) => void
+
+        this.prefix = Date.now().toString(36); // ids stay unique across restarts
+        this.sequence = 0;
+        this.pending = 0;
+        this.timers = [];
+
+        this.added = 0;
+        this.recovered = 0;
+    }
+
+    static inboxKey(instanceId) {
+        return `${INBOX_PREFIX}${instanceId}`;
+    }
+
+    static aliveKey(instanceId) {
+        return `${ALIVE_PREFIX}${instanceId}`;
+    }
+
+    async start() {
+        await this.heartbeat();
+        await this.replayOwn();
+        await this.recover();
+        this.timers.push(setInterval(() => this.heartbeat(), this.ttl / 3));
+        this.timers.push(setInterval(() => this.recover(), this.ttl));
+    }
+
+    // Whatever is still in the inbox (documents MongoDB never took) is replayed when
+    // the processor starts again
+    async stop() {
+        this.timers.splice(0).forEach(timer => clearInterval(timer));
+        await this.redisClient.del(Inbox.aliveKey(this.instanceId));
+    }
+
+    async heartbeat() {
+        try {
+            await this.redisClient.set(Inbox.aliveKey(this.instanceId), this.instanceId, { PX: this.ttl });
+        } catch (error) {
+            console.error('Error renewing the inbox heartbeat:', error.message);
+        }
+    }
+
+    // Resolves to the id to pass to done() once the message is taken care of
+    async add(topic, message) {
+        const id = `${this.prefix}-${++this.sequence}`;
+        await this.redisClient.hSet(Inbox.inboxKey(this.instanceId), id, JSON.stringify({
+            topic,
+            payload: message.toString('base64'),
+            receivedAt: Date.now()
+        }));
+        this.added++;
+        this.pending++;
+        return id;
+    }
+
+    done(id) {
+        this.pending--;
+        this.redisClient.hDel(Inbox.inboxKey(this.instanceId), id).catch(error => {
+            console.error(`Error removing ${id} from the inbox:`, error.message);
+        });
+    }
+
+    async replayOwn() {
+        const entries = await this.redisClient.hGetAll(Inbox.inboxKey(this.instanceId));
+        this.replayEntries(entries, `the previous run of ${this.instanceId}`);
+    }
+
+    // Takes over the inbox of every processor that stopped without emptying it.
+    // Setting its alive key makes this processor the only one to do so.
+    async recover() {
+        try {
+            for await (const key of this.redisClient.scanIterator({ MATCH: `${INBOX_PREFIX}*` })) {
+                const owner = key.slice(INBOX_PREFIX.length);
+                if (owner === this.instanceId) continue;
+                if (await this.redisClient.set(Inbox.aliveKey(owner), this.instanceId, { NX: true, PX: this.ttl }) === null) continue;
+
+                const entries = await this.redisClient.hGetAll(key);
+                if (Object.keys(entries).length > 0) {
+                    await this.redisClient.hSet(Inbox.inboxKey(this.instanceId), entries);
+                }
+                await this.redisClient.del([key, Inbox.aliveKey(owner)]);
+                this.replayEntries(entries, owner);
+            }
+        } catch (error) {
+            console.error('Error recovering inboxes:', error.message);
+        }
+    }
+
+    replayEntries(entries, from) {
+        const messages = Object.entries(entries)
+            .map(([id, entry]) => ({ id, ...JSON.parse(entry) }))
+            .sort((a, b) => a.receivedAt - b.receivedAt);
+        if (messages.length === 0) return;
+
+        console.log(`Replaying ${messages.length} unwritten message(s) of ${from}`);
+        messages.forEach(({ id, topic, payload }) => {
+            this.recovered++;
+            this.pending++;
+            this.replay(topic, Buffer.from(payload, 'base64'), id);
+        });
+    }
+
+    stats() {
+        return {
+            pending: this.pending,
+            added: this.added,
+            recovered: this.recovered
+        };
+    }
+}
+
+module.exports = { Inbox };
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// Remaining useful life is given with a two-sided 90% band
+const CONFIDENCE = 0.9;
+const Z = 1.645;
+
+const DEFAULT_INTERVAL = 168; // operating hours, when neither MES config has one
+const MIN_TREND_SAMPLES = 30;
+const MIN_TREND_SPAN = 0.5; // operating hours a trend must cover before it is extrapolated
+const RATE_SPAN = 0.1; // operating hours between cycle rate updates
+const RECENT_WEIGHT = 0.3; // of each new sample in the recent level
+const PERSIST_INTERVAL = 60; // seconds
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function clamp(value, low, high) {
+    return Math.min(high, Math.max(low, value));
+}
+
+// Trend of one condition signal over operating hours: a least-squares line whose
+// sample weights fall off with a time constant of trendWindow operating hours, the
+// recent level, and a peak that jumps with spikes and decays at the same pace, so a
+// spike keeps counting for a while after the signal has settled again.
+class ConditionTrend {
+    constructor(state = {}) {
+        Object.assign(this, { w: 0, t: 0, v: 0, tt: 0, tv: 0, vv: 0, n: 0, since: null, age: null, recent: null, peak: null }, state);
+    }
+
+    add(age, value, window) {
+        const decay = this.age === null ? 1 : Math.exp(-Math.max(0, age - this.age) / window);
+        ['w', 't', 'v', 'tt', 'tv', 'vv'].forEach(sum => { this[sum] *= decay; });
+        this.w += 1;
+        this.t += age;
+        this.v += value;
+        this.tt += age * age;
+        this.tv += age * value;
+        this.vv += value * value;
+        this.n++;
+        this.since = this.since ?? age;
+        this.age = Math.max(age, this.age ?? age);
+
+        this.recent = this.recent === null ? value : this.recent + RECENT_WEIGHT * (value - this.recent);
+        this.peak = this.peak === null ? value : Math.max(this.recent, this.recent + (this.peak - this.recent) * decay);
+    }
+
+    // Level now, slope per operating hour, residual spread and the slope's standard
+    // error; null until the line rests on enough data
+    fit() {
+        if (this.n < MIN_TREND_SAMPLES || this.age - this.since < MIN_TREND_SPAN) {
+            return null;
+        }
+        const sxx = this.tt - this.t * this.t / this.w;
+        if (sxx <= 0) return null;
+        const sxy = this.tv - this.t * this.v / this.w;
+        const syy = this.vv - this.v * this.v / this.w;
+        const slope = sxy / sxx;
+        const variance = Math.max(0, (syy - slope * sxy) / this.w);
+        return {
+            level: this.v / this.w + slope * (this.age - this.t / this.w),
+            slope,
+            sigma: Math.sqrt(variance),
+            slopeError: Math.sqrt(variance / sxx)
+        };
+    }
+}
+
+// Estimates the remaining useful life of every equipment from its configured
+// maintenance interval, its cycle count against the cycles that interval allows at
+// rated capacity, and the vibration and temperature trends since the last
+// maintenance. The earliest estimate wins. Model state lives in memory and in Redis
+// (equipment:<id>:maintenance), so a restart keeps the trends.
+class MaintenanceModel {
+    constructor(options) {
+        this.redisClient = options.redisClient;
+        this.equipment = options.equipment || {}; // equipmentId -> { interval, capacity }
+        this.types = options.types || {}; // routine | preventive | overhaul -> { frequency, duration, canDefer, maxDefer }
+        this.conditions = options.conditions || {}; // parameter -> { warning, limit }
+        this.trendWindow = options.trendWindow || 24; // operating hours
+        this.uncertainty = options.uncertainty ?? 0.1;
+        this.persistInterval = (options.persistInterval ?? PERSIST_INTERVAL) * 1000;
+        this.models = new Map(); // equipmentId -> model state
+    }
+
+    static modelKey(equipmentId) {
+        return `equipment:${equipmentId}:maintenance`;
+    }
+
+    interval(equipmentId) {
+        return this.equipment[equipmentId]?.interval || this.types.routine?.frequency || DEFAULT_INTERVAL;
+    }
+
+    async model(equipmentId) {
+        if (!this.models.has(equipmentId)) {
+            const stored = await this.redisClient.get(MaintenanceModel.modelKey(equipmentId));
+            const state = stored ? JSON.parse(stored) : {};
+            const trends = {};
+            Object.keys(this.conditions).forEach(name => { trends[name] = new ConditionTrend(state.trends?.[name]); });
+            this.models.set(equipmentId, { age: null, cycles: null, cycleBaseline: null, cycleRate: null, rateFrom: null, statuses: '', savedAt: 0, ...state, trends });
+        }
+        return this.models.get(equipmentId);
+    }
+
+    async save(equipmentId, model) {
+        model.savedAt = Date.now();
+        await this.redisClient.set(MaintenanceModel.modelKey(equipmentId), JSON.stringify(model));
+    }
+
+    // Fields for the maintenance section of a standardized document
+    async assess(data) {
+        const age = data.maintenance.lastMaintenanceHours;
+        if (age === undefined) return {};
+
+        const equipmentId = data.source.equipmentId;
+        const model = await this.model(equipmentId);
+        const cycles = data.equipment.performance?.cycleCount;
+        const running = data.maintenance.currentState === 'RUNNING';
+
+        // The hour meter going back means maintenance was done: start over
+        let reset = false;
+        if (model.age !== null && age < model.age - 0.05) {
+            reset = true;
+            Object.keys(model.trends).forEach(name => { model.trends[name] = new ConditionTrend(); });
+            model.cycleBaseline = cycles ?? null;
+            model.rateFrom = null;
+        }
+        if (model.age === null || age >= model.age || reset) {
+            model.age = age;
+            this.updateCycles(model, age, cycles);
+            // Vibration and temperature only say something about wear while running
+            if (running) {
+                Object.entries(model.trends).forEach(([name, trend]) => {
+                    const value = data.process.parameters[name]?.value;
+                    if (typeof value === 'number') {
+                        trend.add(age, value, this.trendWindow);
+                    }
+                });
+            }
+        }
+        const interval = this.interval(equipmentId);
+        const estimates = [this.band('interval', Math.max(0, interval - age))];
+        const cycleEstimate = this.cycleEstimate(equipmentId, model, interval);
+        if (cycleEstimate) estimates.push(cycleEstimate);
+
+        const condition = {};
+        Object.entries(model.trends).forEach(([name, trend]) => {
+            if (trend.recent === null) return;
+            const fit = trend.fit();
+            const limits = this.conditions[name];
+            condition[name] = {
+                level: round(fit ? fit.level : trend.recent, 2),
+                trend: fit ? round(fit.slope, 4) : null, // per operating hour
+                peak: round(trend.peak, 2),
+                status: trend.peak >= limits.limit ? 'ALARM' : trend.peak >= limits.warning ? 'WARNING' : 'NORMAL'
+            };
+            estimates.push(...this.conditionEstimates(name, trend, fit, limits, estimates[0].hours));
+        });
+
+        // Saved now and then, and straight away after maintenance or a condition change
+        const statuses = Object.values(condition).map(entry => entry.status).join();
+        if (reset || statuses !== model.statuses || Date.now() - model.savedAt >= this.persistInterval) {
+            model.statuses = statuses;
+            await this.save(equipmentId, model);
+        }
+
+        const earliest = estimates.reduce((best, estimate) => estimate.hours < best.hours ? estimate : best);
+        const remainingUsefulLife = {
+            hours: round(earliest.hours),
+            low: round(Math.min(...estimates.map(estimate => estimate.low))),
+            high: round(Math.min(...estimates.map(estimate => estimate.high))),
+            confidence: CONFIDENCE,
+            driver: earliest.driver
+        };
+        const schedule = this.schedule(interval, age, data.equipment.performance?.runtimeHours);
+
+        return {
+            nextMaintenanceDue: Math.min(remainingUsefulLife.hours, ...Object.values(schedule).map(entry => entry.dueIn)),
+            remainingUsefulLife,
+            condition,
+            schedule
+        };
+    }
+
+    // Cycles per operating hour, measured over at least RATE_SPAN hours at a time
+    updateCycles(model, age, cycles) {
+        if (typeof cycles !== 'number') return;
+        if (model.cycles !== null && cycles < model.cycles) {
+            // Counter reset (PLC restart): cycles since maintenance are unknown again
+            model.cycleBaseline = null;
+            model.rateFrom = null;
+        }
+        model.cycles = cycles;
+        if (!model.rateFrom) {
+            model.rateFrom = { age, cycles };
+        } else if (age - model.rateFrom.age >= RATE_SPAN) {
+            const rate = (cycles - model.rateFrom.cycles) / (age - model.rateFrom.age);
+            model.cycleRate = model.cycleRate === null ? rate : model.cycleRate * 0.5 + rate * 0.5;
+            model.rateFrom = { age, cycles };
+        }
+    }
+
+    // The interval allows capacity * interval cycles; running faster than rated wears
+    // the machine out sooner
+    cycleEstimate(equipmentId, model, interval) {
+        const capacity = this.equipment[equipmentId]?.capacity;
+        if (!capacity || !model.cycleRate || model.cycleRate <= 0) return null;
+        const used = model.cycleBaseline !== null ? model.cycles - model.cycleBaseline : model.cycleRate * model.age;
+        return this.band('cycles', Math.max(0, (capacity * interval - used) / model.cycleRate));
+    }
+
+    // A rising trend is extrapolated to the limit. Above the warning level the
+    // interval estimate shrinks, down to zero at the limit.
+    conditionEstimates(name, trend, fit, limits, intervalHours) {
+        const estimates = [];
+        const level = fit ? fit.level : trend.recent;
+        if (Math.max(level, trend.peak) >= limits.limit) {
+            return [{ driver: name, hours: 0, low: 0, high: 0 }];
+        }
+        if (fit && fit.slope > 0) {
+            const margin = limits.limit - fit.level;
+            const slowest = fit.slope - Z * fit.slopeError;
+            estimates.push({
+                driver: name,
+                hours: margin / fit.slope,
+                low: Math.max(0, (margin - Z * fit.sigma) / (fit.slope + Z * fit.slopeError)),
+                high: slowest > 0 ? (margin + Z * fit.sigma) / slowest : Infinity
+            });
+        }
+        const severity = clamp((trend.peak - limits.warning) / (limits.limit - limits.warning), 0, 1);
+        if (severity > 0) {
+            estimates.push(this.band(name, intervalHours * (1 - severity)));
+        }
+        return estimates;
+    }
+
+    band(driver, hours) {
+        return { driver, hours, low: hours * (1 - this.uncertainty), high: hours * (1 + this.uncertainty) };
+    }
+
+    // Hours until each maintenance type is due: routine after the machine's own
+    // interval since the last maintenance, the others every frequency operating hours
+    schedule(interval, age, runtimeHours) {
+        const schedule = {};
+        Object.entries(this.types).forEach(([type, definition]) => {
+            let dueIn;
+            if (type === 'routine') {
+                dueIn = Math.max(0, interval - age);
+            } else if (typeof runtimeHours === 'number' && definition.frequency) {
+                dueIn = definition.frequency - (runtimeHours % definition.frequency);
+            } else {
+                return;
+            }
+            schedule[type] = {
+                dueIn: round(dueIn),
+                duration: definition.duration,
+                latest: round(dueIn + (definition.canDefer ? definition.maxDefer || 0 : 0))
+            };
+        });
+        return schedule;
+    }
+
+    // Reloaded from Redis on the next sample
+    evict(equipmentId) {
+        this.models.delete(equipmentId);
+    }
+
+    async forget(equipmentId) {
+        this.models.delete(equipmentId);
+        await this.redisClient.del(MaintenanceModel.modelKey(equipmentId));
+    }
+}
+
+function readYaml(file, description) {
+    if (!fs.existsSync(file)) {
+        console.log(`No ${description} at ${file}`);
+        return {};
+    }
+    return yaml.load(fs.readFileSync(file, 'utf8')) || {};
+}
+
+// maintenance.yml: conditions (limits per parameter), trend_window, uncertainty.
+// Machine intervals and capacities come from the MES equipment.yml, maintenance types
+// from the MES production.yml.
+function loadMaintenanceConfig(files) {
+    const definition = readYaml(files.model, 'maintenance model config');
+    const equipmentConfig = readYaml(files.equipment, 'MES equipment config');
+    const productionConfig = readYaml(files.production, 'MES production config');
+
+    const equipment = {};
+    Object.entries(equipmentConfig.equipment || {}).forEach(([equipmentId, machine]) => {
+        equipment[equipmentId] = { interval: machine.maintenance_interval, capacity: machine.capacity };
+    });
+
+    const types = {};
+    Object.entries(productionConfig.maintenance?.maintenance_types || {}).forEach(([type, spec]) => {
+        types[type] = { frequency: spec.frequency, duration: spec.duration, canDefer: spec.can_defer === true, maxDefer: spec.max_defer };
+    });
+
+    const conditions = {};
+    Object.entries(definition.conditions || {}).forEach(([parameter, limits]) => {
+        if (!(limits.warning < limits.limit)) {
+            throw new Error(`Maintenance condition ${parameter}: warning must be below limit`);
+        }
+        conditions[parameter] = { warning: limits.warning, limit: limits.limit };
+    });
+
+    console.log(`Loaded maintenance model: ${Object.keys(equipment).length} equipment interval(s), maintenance types ${Object.keys(types).join(', ') || 'none'}, conditions ${Object.keys(conditions).join(', ') || 'none'}`);
+    return { equipment, types, conditions, trendWindow: definition.trend_window, uncertainty: definition.uncertainty };
+}
+
+module.exports = { MaintenanceModel, loadMaintenanceConfig };
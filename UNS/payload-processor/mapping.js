@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { topicMatches } = require('./schema-registry');
+const { CANONICAL_UNITS, PARAMETER_DIMENSIONS, dimensionOf, toCanonical } = require('./units');
+
+// Canonical fields a mapping can fill; parameters are mapped separately
+const RECORD_FIELDS = [
+    'timestamp', 'equipmentId', 'equipmentClass', 'workUnit', 'area', 'productCode',
+    'state', 'errorCode', 'efficiency', 'cycleCount', 'runtimeHours', 'lastMaintenanceHours',
+    'goodParts', 'badParts', 'rejectRate', 'historical'
+];
+const REQUIRED_FIELDS = ['timestamp', 'equipmentId', 'equipmentClass'];
+
+// Operational states the ISA-95 transformation understands
+const RAW_STATES = ['RUNNING', 'IDLE', 'STARVED', 'BLOCKED', 'ERROR', 'MAINTENANCE'];
+
+const TIMESTAMP_FORMATS = {
+    iso: value => new Date(value).toISOString(),
+    epoch_ms: value => new Date(Number(value)).toISOString(),
+    epoch_s: value => new Date(Number(value) * 1000).toISOString()
+};
+
+// Splits 'a.b[0]["c/d"]' into ['a', 'b', '0', 'c/d']
+function parsePath(expression) {
+    const segments = [];
+    const pattern = /([^.[\]]+)|\[(\d+)\]|\[["']([^"']+)["']\]/g;
+    let match;
+    while ((match = pattern.exec(expression)) !== null) {
+        segments.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return segments;
+}
+
+function getPath(data, segments) {
+    return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), data);
+}
+
+// A field is either a path string or { path | value, default, map, scale, format, unit }
+function compileField(name, spec, file) {
+    const field = typeof spec === 'string' ? { path: spec } : { ...spec };
+    if (field.path === undefined && field.value === undefined && field.default === undefined) {
+        throw new Error(`Mapping ${file}: ${name} needs a path, value or default`);
+    }
+    if (field.format && !TIMESTAMP_FORMATS[field.format]) {
+        throw new Error(`Mapping ${file}: ${name} has unknown format "${field.format}" (expected ${Object.keys(TIMESTAMP_FORMATS).join(', ')})`);
+    }
+    field.segments = field.path !== undefined ? parsePath(String(field.path)) : null;
+    return field;
+}
+
+function resolveField(field, data) {
+    let value = field.value;
+    if (value === undefined && field.segments) {
+        value = getPath(data, field.segments);
+    }
+
+    if (value !== undefined && value !== null && field.map) {
+        value = Object.prototype.hasOwnProperty.call(field.map, String(value)) ? field.map[String(value)] : (field.default ?? value);
+    }
+    if ((value === undefined || value === null) && field.default !== undefined) {
+        value = field.default;
+    }
+    if (value !== undefined && value !== null && field.scale !== undefined) {
+        value = Number(value) * field.scale;
+    }
+    if (value !== undefined && value !== null && field.format) {
+        value = TIMESTAMP_FORMATS[field.format](value);
+    }
+    return value;
+}
+
+// One source's raw payload shape -> canonical record
+class SourceMapping {
+    constructor(definition, file) {
+        this.file = file;
+        this.name = definition.name || path.basename(file, path.extname(file));
+        this.topics = definition.topics || [];
+        this.level = definition.level || 'L0-L1';
+
+        if (this.topics.length === 0) {
+            throw new Error(`Mapping ${file}: no topics`);
+        }
+
+        const fields = definition.fields || {};
+        Object.keys(fields).forEach(name => {
+            if (!RECORD_FIELDS.includes(name)) {
+                throw new Error(`Mapping ${file}: unknown field "${name}" (expected ${RECORD_FIELDS.join(', ')})`);
+            }
+        });
+        REQUIRED_FIELDS.forEach(name => {
+            if (!fields[name]) {
+                throw new Error(`Mapping ${file}: field "${name}" is required`);
+            }
+        });
+
+        this.fields = Object.entries(fields).map(([name, spec]) => [name, compileField(name, spec, file)]);
+        this.parameters = Object.entries(definition.parameters || {}).map(([name, spec]) => {
+            if (!spec.unit && !spec.unit_path) {
+                throw new Error(`Mapping ${file}: parameter "${name}" needs a unit or unit_path`);
+            }
+            const dimension = spec.dimension ?? PARAMETER_DIMENSIONS[name];
+            if (!CANONICAL_UNITS[dimension]) {
+                throw new Error(`Mapping ${file}: parameter "${name}" needs a dimension (expected ${Object.keys(CANONICAL_UNITS).join(', ')})`);
+            }
+            const unitDimension = spec.unit ? dimensionOf(spec.unit) : null;
+            if (spec.unit && !unitDimension) {
+                console.warn(`Mapping ${file}: parameter "${name}" has unknown unit "${spec.unit}", its values will be flagged`);
+            } else if (unitDimension && unitDimension !== dimension) {
+                throw new Error(`Mapping ${file}: parameter "${name}" measures ${dimension}, its unit "${spec.unit}" measures ${unitDimension}`);
+            }
+            const field = compileField(name, spec, file);
+            field.unitSegments = spec.unit_path ? parsePath(String(spec.unit_path)) : null;
+            field.dimension = dimension;
+            return [name, field];
+        });
+
+        // Display names and ranges (in canonical units) published as metadata
+        this.parameterInfo = {};
+        Object.entries(definition.parameters || {}).forEach(([name, spec]) => {
+            if (spec.range && !(typeof spec.range.low === 'number' && typeof spec.range.high === 'number' && spec.range.low < spec.range.high)) {
+                throw new Error(`Mapping ${file}: parameter "${name}" range needs numeric low < high`);
+            }
+            this.parameterInfo[name] = { displayName: spec.display_name, range: spec.range ? { low: spec.range.low, high: spec.range.high } : undefined };
+        });
+    }
+
+    matches(topic) {
+        return this.topics.some(filter => topicMatches(filter, topic));
+    }
+
+    apply(data) {
+        const record = { mapping: this.name, level: this.level, parameters: {} };
+
+        this.fields.forEach(([name, field]) => {
+            record[name] = resolveField(field, data);
+        });
+
+        const missing = REQUIRED_FIELDS.filter(name => record[name] === undefined || record[name] === null);
+        if (missing.length > 0) {
+            throw new Error(`mapping ${this.name}: no value for ${missing.join(', ')}`);
+        }
+
+        record.workUnit = record.workUnit ?? record.equipmentId;
+        record.area = record.area ?? 'GENERAL';
+        record.state = RAW_STATES.includes(record.state) ? record.state : 'UNKNOWN';
+        record.historical = record.historical === true;
+
+        this.parameters.forEach(([name, field]) => {
+            const value = resolveField(field, data);
+            if (value !== undefined && value !== null) {
+                // Units reported in the payload win over the declared one; one of
+                // another dimension is flagged, not converted
+                const unit = (field.unitSegments && getPath(data, field.unitSegments)) || field.unit;
+                record.parameters[name] = toCanonical(value, unit, field.dimension);
+            }
+        });
+
+        return record;
+    }
+}
+
+function loadMappings(directory) {
+    const mappings = fs.readdirSync(directory)
+        .filter(file => /\.ya?ml$/.test(file))
+        .sort()
+        .map(file => new SourceMapping(yaml.load(fs.readFileSync(path.join(directory, file), 'utf8')) || {}, file));
+
+    console.log(`Loaded ${mappings.length} source mapping(s) from ${directory}: ${mappings.map(mapping => mapping.name).join(', ')}`);
+    return new MappingSet(mappings);
+}
+
+class MappingSet {
+    constructor(mappings) {
+        this.mappings = mappings;
+    }
+
+    get topics() {
+        return Array.from(new Set(this.mappings.flatMap(mapping => mapping.topics)));
+    }
+
+    // First mapping (in file name order) whose topics match
+    forTopic(topic) {
+        return this.mappings.find(mapping => mapping.matches(topic)) || null;
+    }
+}
+
+module.exports = { loadMappings, SourceMapping, MappingSet, RAW_STATES };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// Fields that change on every message and never count as a change on their own
+const IGNORED_FIELDS = ['timestamp', 'original'];
+
+// Flattens { process: { parameters: { temperature: { value: 61 } } } } into
+// { 'process.parameters.temperature.value': 61 }
+function flatten(value, prefix = '', fields = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => {
+            if (!IGNORED_FIELDS.includes(key)) {
+                flatten(child, prefix ? `${prefix}.${key}` : key, fields);
+            }
+        });
+    } else if (value !== undefined) {
+        fields[prefix] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+    return fields;
+}
+
+// Decides per key (equipment and topic) whether a new value is worth publishing.
+// Numbers are reported once they move further than their deadband from the last
+// reported value, anything else on every change, and every key at least once per
+// maxSilence as a heartbeat. Processors sharing the raw topics hand what was
+// reported over through Redis (equipment:<id>:reported) with save() and load().
+class ReportByException {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.maxSilence = (options.maxSilence ?? 60) * 1000;
+        this.deadband = options.deadband || {};
+        this.deadbands = options.deadbands || {};
+        this.reported = new Map(); // key -> { fields, time }
+        this.changed = new Set(); // keys reported since they were last saved
+    }
+
+    static reportedKey(equipmentId) {
+        return `equipment:${equipmentId}:reported`;
+    }
+
+    // Parameters are looked up by name, other fields by their path in the document
+    deadbandFor(path) {
+        const parameter = path.match(/^process\.parameters\.([^.]+)\.value$/);
+        return this.deadbands[path] || (parameter && this.deadbands[parameter[1]]) || this.deadband;
+    }
+
+    exceeds(path, previous, current) {
+        if (typeof previous !== 'number' || typeof current !== 'number') {
+            return previous !== current;
+        }
+        // The wider of the absolute and the percent-of-last-value band applies
+        const band = this.deadbandFor(path);
+        const threshold = Math.max(band.absolute || 0, ((band.percent || 0) / 100) * Math.abs(previous));
+        return Math.abs(current - previous) > threshold;
+    }
+
+    // Forced reports are recorded like any other, the deadband starts from them
+    shouldReport(key, value, time, force = false) {
+        const fields = flatten(value);
+        const last = this.reported.get(key);
+
+        const report = force
+            || !this.enabled
+            || !last
+            || time - last.time >= this.maxSilence
+            || Object.keys(fields).length !== Object.keys(last.fields).length
+            || Object.entries(fields).some(([path, current]) => !(path in last.fields) || this.exceeds(path, last.fields[path], current));
+
+        if (report) {
+            this.reported.set(key, { fields, time });
+            this.changed.add(key);
+        }
+        return report;
+    }
+
+    // Drops every key of an equipment (keys start with "<equipmentId>/")
+    forget(equipmentId) {
+        Array.from(this.reported.keys())
+            .filter(key => key.startsWith(`${equipmentId}/`))
+            .forEach(key => {
+                this.reported.delete(key);
+                this.changed.delete(key);
+            });
+    }
+
+    async save(redisClient, equipmentId) {
+        const fields = {};
+        Array.from(this.changed)
+            .filter(key => key.startsWith(`${equipmentId}/`))
+            .forEach(key => {
+                fields[key] = JSON.stringify(this.reported.get(key));
+                this.changed.delete(key);
+            });
+        if (Object.keys(fields).length > 0) {
+            await redisClient.hSet(ReportByException.reportedKey(equipmentId), fields);
+        }
+    }
+
+    // Replaces what is known about an equipment with what was saved
+    async load(redisClient, equipmentId) {
+        const stored = await redisClient.hGetAll(ReportByException.reportedKey(equipmentId));
+        this.forget(equipmentId);
+        Object.entries(stored).forEach(([key, value]) => this.reported.set(key, JSON.parse(value)));
+    }
+}
+
+// publishing.yml: report_by_exception, max_silence (seconds), deadband (default for
+// every number), deadbands (per parameter or field path), parameter_topics and the
+// watchdog options
+function loadPublishingConfig(file) {
+    if (!fs.existsSync(file)) {
+        console.log(`No publishing config at ${file}, publishing every message without per-parameter topics`);
+        return { parameterTopics: false, exceptions: new ReportByException({ enabled: false }), watchdog: {} };
+    }
+
+    const definition = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    const exceptions = new ReportByException({
+        enabled: definition.report_by_exception !== false,
+        maxSilence: definition.max_silence,
+        deadband: definition.deadband,
+        deadbands: definition.deadbands
+    });
+    const parameterTopics = definition.parameter_topics === true;
+    const watchdog = definition.watchdog || {};
+
+    console.log(`Loaded publishing config ${file}: report by exception ${exceptions.enabled ? `on (heartbeat every ${exceptions.maxSilence / 1000}s)` : 'off'}, parameter topics ${parameterTopics ? 'on' : 'off'}`);
+    return {
+        parameterTopics,
+        exceptions,
+        watchdog: {
+            enabled: watchdog.enabled,
+            staleAfter: watchdog.stale_after,
+            commsLostAfter: watchdog.comms_lost_after,
+            defaultInterval: watchdog.default_interval,
+            minInterval: watchdog.min_interval,
+            checkInterval: watchdog.check_interval
+        }
+    };
+}
+
+module.exports = { ReportByException, loadPublishingConfig, flatten };
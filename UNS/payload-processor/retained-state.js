@@ -0,0 +1,68 @@
+// Standardized data is published retained, so a new subscriber gets the last known
+// value of every topic straight away. The topics each equipment has retained are
+// remembered in Redis (equipment:<id>:topics) so they can be cleared when the
+// equipment is decommissioned, also by a processor that never published them.
+class RetainedState {
+    constructor(options) {
+        this.redisClient = options.redisClient;
+        this.mqttClient = options.mqttClient;
+        this.debug = options.debug || false;
+        this.topics = new Map(); // equipmentId -> Set of retained topics
+    }
+
+    static topicsKey(equipmentId) {
+        return `equipment:${equipmentId}:topics`;
+    }
+
+    async knownTopics(equipmentId) {
+        if (!this.topics.has(equipmentId)) {
+            const topics = await this.redisClient.sMembers(RetainedState.topicsKey(equipmentId));
+            this.topics.set(equipmentId, new Set(topics));
+        }
+        return this.topics.get(equipmentId);
+    }
+
+    async publish(equipmentId, messages) {
+        const known = await this.knownTopics(equipmentId);
+        const added = messages.map(message => message.topic).filter(topic => !known.has(topic));
+        if (added.length > 0) {
+            added.forEach(topic => known.add(topic));
+            await this.redisClient.sAdd(RetainedState.topicsKey(equipmentId), added);
+        }
+
+        messages.forEach(({ topic, payload }) => {
+            this.mqttClient.publish(topic, JSON.stringify(payload), { qos: 1, retain: true }, (error) => {
+                if (error) {
+                    console.error(`Error publishing to ${topic}:`, error);
+                } else if (this.debug) {
+                    console.log(`Published standardized data to ${topic}`);
+                }
+            });
+        });
+    }
+
+    // Reloaded from Redis on the next publish
+    evict(equipmentId) {
+        this.topics.delete(equipmentId);
+    }
+
+    // An empty retained message removes the retained one from the broker
+    async clear(equipmentId) {
+        const topics = Array.from(await this.knownTopics(equipmentId));
+
+        await Promise.all(topics.map(topic => new Promise(resolve => {
+            this.mqttClient.publish(topic, '', { qos: 1, retain: true }, (error) => {
+                if (error) {
+                    console.error(`Error clearing retained ${topic}:`, error);
+                }
+                resolve();
+            });
+        })));
+
+        this.topics.delete(equipmentId);
+        await this.redisClient.del(RetainedState.topicsKey(equipmentId));
+        return topics;
+    }
+}
+
+module.exports = { RetainedState };
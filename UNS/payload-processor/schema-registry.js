@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Payload field that selects the schema version; payloads without it get the
+// schema's default version
+const VERSION_FIELD = 'schemaVersion';
+
+// MQTT topic filter matching with + and # wildcards
+function topicMatches(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') return true;
+        if (i >= topicLevels.length) return false;
+        if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+    }
+    return filterLevels.length === topicLevels.length;
+}
+
+// Loads every JSON schema in a directory. A schema's "x-schema" block names it,
+// gives its version and lists the raw topics it applies to:
+//   "x-schema": { "name": "raw-plc", "version": 1, "topics": ["raw/plc/+/data"], "default": true }
+// Several versions of the same name live side by side.
+class SchemaRegistry {
+    constructor(directory) {
+        this.directory = directory;
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        addFormats(this.ajv);
+        this.schemas = new Map(); // name -> versions, oldest first
+    }
+
+    load() {
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => this.register(file, JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'))));
+
+        const summary = Array.from(this.schemas.entries())
+            .map(([name, versions]) => `${name} v${versions.map(entry => entry.version).join('/')}`)
+            .join(', ');
+        console.log(`Loaded ${this.schemas.size} schema(s) from ${this.directory}: ${summary}`);
+        return this;
+    }
+
+    register(file, schema) {
+        const meta = schema['x-schema'] || {};
+        const name = meta.name || path.basename(file, '.json').replace(/-schema$/, '');
+        const version = meta.version ?? 1;
+        const versions = this.schemas.get(name) || [];
+
+        if (versions.some(entry => entry.version === version)) {
+            throw new Error(`Schema ${file}: ${name} v${version} is already registered`);
+        }
+
+        versions.push({
+            name,
+            version,
+            file,
+            topics: meta.topics || [],
+            isDefault: meta.default === true,
+            validate: this.ajv.compile(schema)
+        });
+        versions.sort((a, b) => (a.version > b.version ? 1 : -1));
+        this.schemas.set(name, versions);
+    }
+
+    // Topic filters of all schemas that describe raw input
+    get rawTopics() {
+        const topics = new Set();
+        this.schemas.forEach(versions => versions.forEach(entry => entry.topics.forEach(topic => topics.add(topic))));
+        return Array.from(topics);
+    }
+
+    schemaNameForTopic(topic) {
+        for (const [name, versions] of this.schemas) {
+            if (versions.some(entry => entry.topics.some(filter => topicMatches(filter, topic)))) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    resolve(name, data) {
+        const versions = this.schemas.get(name);
+        if (!versions) return null;
+
+        const requested = data ? data[VERSION_FIELD] : undefined;
+        if (requested === undefined) {
+            return versions.find(entry => entry.isDefault) || versions[0];
+        }
+        return versions.find(entry => String(entry.version) === String(requested)) || null;
+    }
+
+    // Returns { schema, errors }; errors is null when the payload is valid
+    validate(name, data) {
+        const entry = this.resolve(name, data);
+        if (!entry) {
+            const requested = data && data[VERSION_FIELD] !== undefined ? ` v${data[VERSION_FIELD]}` : '';
+            return { schema: null, errors: [`no schema ${name}${requested} registered`] };
+        }
+
+        const valid = entry.validate(data);
+        return {
+            schema: `${entry.name} v${entry.version}`,
+            errors: valid ? null : entry.validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+        };
+    }
+
+    validateTopic(topic, data) {
+        const name = this.schemaNameForTopic(topic);
+        if (!name) {
+            return { schema: null, errors: [`no schema mapped to topic ${topic}`] };
+        }
+        return this.validate(name, data);
+    }
+}
+
+module.exports = { SchemaRegistry, topicMatches, VERSION_FIELD };
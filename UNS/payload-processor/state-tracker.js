@@ -0,0 +1,84 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Remembers the operational state of every equipment (in memory and in Redis under
+// equipment:<id>:state, so a restart does not report a transition twice) and turns
+// changes into STATE_TRANSITION events, which are kept in the state_history collection.
+class StateTracker {
+    constructor(options) {
+        this.redisClient = options.redisClient;
+        this.collection = options.db.collection('state_history');
+        this.mapStatus = options.mapStatus; // raw state -> ISA-95 status
+        this.states = new Map(); // equipmentId -> { state, since, errorCode }
+    }
+
+    static stateKey(equipmentId) {
+        return `equipment:${equipmentId}:state`;
+    }
+
+    async previous(equipmentId) {
+        if (!this.states.has(equipmentId)) {
+            const stored = await this.redisClient.get(StateTracker.stateKey(equipmentId));
+            this.states.set(equipmentId, stored ? JSON.parse(stored) : null);
+        }
+        return this.states.get(equipmentId);
+    }
+
+    async remember(equipmentId, current) {
+        this.states.set(equipmentId, current);
+        await this.redisClient.set(StateTracker.stateKey(equipmentId), JSON.stringify(current));
+    }
+
+    // Returns the transition event, or null when the state did not change
+    async track(data) {
+        const equipmentId = data.source.equipmentId;
+        const state = data.maintenance.currentState;
+        const errorCode = data.maintenance.errorCode ?? null;
+        const previous = await this.previous(equipmentId);
+
+        if (!previous) {
+            await this.remember(equipmentId, { state, since: data.timestamp, errorCode });
+            return null;
+        }
+        // Late or re-submitted samples must not rewind the state
+        if (Date.parse(data.timestamp) < Date.parse(previous.since) || state === previous.state) {
+            return null;
+        }
+
+        const event = {
+            eventId: uuidv4(),
+            type: 'STATE_TRANSITION',
+            timestamp: data.timestamp,
+            equipmentId,
+            source: data.source,
+            from: previous.state,
+            to: state,
+            fromStatus: this.mapStatus(previous.state),
+            toStatus: this.mapStatus(state),
+            errorCode,
+            previousErrorCode: previous.errorCode,
+            previousStateSince: previous.since,
+            previousStateDuration: (Date.parse(data.timestamp) - Date.parse(previous.since)) / 1000 // seconds
+        };
+
+        await this.remember(equipmentId, { state, since: data.timestamp, errorCode });
+        await this.collection.insertOne({
+            ...event,
+            timestamp: new Date(event.timestamp),
+            previousStateSince: new Date(event.previousStateSince),
+            createdAt: new Date()
+        });
+        return event;
+    }
+
+    // Reloaded from Redis on the next sample
+    evict(equipmentId) {
+        this.states.delete(equipmentId);
+    }
+
+    async forget(equipmentId) {
+        this.states.delete(equipmentId);
+        await this.redisClient.del(StateTracker.stateKey(equipmentId));
+    }
+}
+
+module.exports = { StateTracker };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PayloadProcessor } = require('../processor');
+const { Inbox } = require('../inbox');
+const { WorkQueue } = require('../work-queue');
+const { createFakeRedis } = require('./fake-redis');
+
+function createProcessor(redis, handleMessage) {
+    const processor = new PayloadProcessor();
+    processor.inbox = new Inbox({ redisClient: redis.client, instanceId: 'p1', replay: () => {} });
+    processor.workQueue = new WorkQueue({
+        handler: ({ topic, message, entry, recovered }) => processor.processMessage(topic, message, entry, recovered)
+    });
+    processor.handleMessage = handleMessage;
+    processor.deadLetterQueue = { add: async () => {} };
+    return processor;
+}
+
+const inbox = redis => Object.keys(redis.hashes.get('payload-processor:inbox:p1') || {});
+
+test('acknowledges a message once it is in the inbox and keeps it there until it is written', async () => {
+    const redis = createFakeRedis();
+    let written = null;
+    const processor = createProcessor(redis, async (topic, message, options) => {
+        written = options.written;
+        return true;
+    });
+
+    let acknowledged = false;
+    await processor.receive({ topic: 'raw/line1/CNC_01/data', payload: Buffer.from('{}') }, () => {
+        acknowledged = true;
+        assert.strictEqual(inbox(redis).length, 1);
+    });
+    await processor.workQueue.close();
+
+    assert.ok(acknowledged);
+    assert.strictEqual(inbox(redis).length, 1);
+    written();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(inbox(redis).length, 0);
+});
+
+test('a dead-lettered or skipped message leaves the inbox once it is handled', async () => {
+    const redis = createFakeRedis();
+    const processor = createProcessor(redis, async topic => {
+        if (topic === 'raw/bad') throw new Error('Invalid JSON');
+        return false; // duplicate
+    });
+
+    await processor.receive({ topic: 'raw/bad', payload: Buffer.from('{') }, () => {});
+    await processor.receive({ topic: 'raw/duplicate', payload: Buffer.from('{}') }, () => {});
+    await processor.workQueue.close();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(inbox(redis).length, 0);
+});
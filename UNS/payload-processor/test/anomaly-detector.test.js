@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AnomalyDetector } = require('../anomaly-detector');
+const { createFakeRedis } = require('./fake-redis');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function createDetector(redis = createFakeRedis()) {
+    return new AnomalyDetector({ redisClient: redis.client, warmup: 50, settleTime: 120, minSigma: { temperature: 0.5 } });
+}
+
+const sample = (second, temperature, { state = 'RUNNING', productCode = 'PROD_001' } = {}) => ({
+    timestamp: new Date(START + second * 1000).toISOString(),
+    source: { equipmentId: 'LINE_01' },
+    maintenance: { currentState: state },
+    equipment: { productCode },
+    process: { parameters: { temperature: { value: temperature, unit: 'Cel' } } }
+});
+
+// 60 ± 0.5 °C, one value a second from the given second on
+async function learn(detector, from, count, options = {}) {
+    const events = [];
+    for (let i = 0; i < count; i++) {
+        events.push(...await detector.inspect(sample(from + i, (options.mean ?? 60) + (i % 2 ? 0.5 : -0.5), options)));
+    }
+    return events;
+}
+
+test('flags a value far from its baseline until it is back within clearBelow', async () => {
+    const detector = createDetector();
+    assert.deepStrictEqual(await learn(detector, 0, 100), []);
+
+    const spike = sample(100, 66);
+    const [active] = await detector.inspect(spike);
+    assert.deepStrictEqual([active.type, active.status, active.direction, Math.round(active.expected)], ['ANOMALY', 'ACTIVE', 'HIGH', 60]);
+    assert.ok(active.score >= 4 && active.stdDev >= 0.6, `score ${active.score}, stdDev ${active.stdDev}`);
+    assert.strictEqual(spike.process.parameters.temperature.anomaly, true);
+
+    // Still anomalous between the two thresholds
+    assert.deepStrictEqual(await detector.inspect(sample(101, 62.2)), []);
+    const [cleared] = await detector.inspect(sample(102, 60));
+    assert.deepStrictEqual([cleared.status, cleared.since, cleared.duration, cleared.maxScore], ['CLEARED', active.timestamp, 2, active.score]);
+});
+
+test('flags nothing while a baseline warms up', async () => {
+    const detector = createDetector();
+    await learn(detector, 0, 10);
+
+    assert.deepStrictEqual(await detector.inspect(sample(10, 90)), []);
+});
+
+test('keeps a baseline per product, and neither learns nor judges right after a state change', async () => {
+    const detector = createDetector();
+    await learn(detector, 0, 100);
+    await learn(detector, 100, 100, { mean: 80, productCode: 'PROD_002' });
+
+    assert.deepStrictEqual(await detector.inspect(sample(200, 60)), []);
+    // A warming-up machine after an idle spell
+    await detector.inspect(sample(201, 20, { state: 'IDLE' }));
+    assert.deepStrictEqual(await learn(detector, 202, 60, { mean: 70 }), []);
+    assert.strictEqual((await detector.inspect(sample(330, 70)))[0].status, 'ACTIVE');
+});
+
+test('another processor carries on from the baselines and anomalies in Redis', async () => {
+    const redis = createFakeRedis();
+    const first = createDetector(redis);
+    await learn(first, 0, 100);
+    await first.inspect(sample(100, 66));
+    await first.flush();
+
+    const second = createDetector(redis);
+    const next = sample(101, 65);
+    assert.deepStrictEqual(await second.inspect(next), []);
+    assert.strictEqual(next.process.parameters.temperature.anomaly, true);
+    assert.strictEqual((await second.inspect(sample(102, 60)))[0].status, 'CLEARED');
+
+    await second.forget('LINE_01');
+    assert.strictEqual(redis.hashes.has('equipment:LINE_01:baselines'), false);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { AssetModel } = require('../asset-model');
+
+function quietly(fn) {
+    const [log, warn] = [console.log, console.warn];
+    const warnings = [];
+    console.log = () => {};
+    console.warn = message => warnings.push(message);
+    try {
+        return [fn(), warnings];
+    } finally {
+        [console.log, console.warn] = [log, warn];
+    }
+}
+
+const line = cells => ({ enterprise: 'acme', sites: { detroit: { areas: { production: { lines: { line1: { cells } } } } } } });
+
+test('places the plant equipment on the ISA-95 topic tree', () => {
+    const [model] = quietly(() => AssetModel.load(path.join(__dirname, '..', 'asset-model.yml')));
+
+    assert.strictEqual(AssetModel.topicPath(model.locate({ equipmentId: 'PKG_01', area: 'PACKAGING' })), 'acme/detroit/packaging/line1/packing');
+    assert.strictEqual(AssetModel.topicPath(model.locate({ equipmentId: 'CONV_01' })), 'acme/detroit/material_handling/line1/transfer');
+    assert.strictEqual(model.displayName('LINE_01'), 'Production Line 1');
+    assert.strictEqual(model.displayName('MIXER_01'), 'MIXER_01');
+});
+
+test('puts unknown equipment under the unassigned site and line, warning once', () => {
+    const model = new AssetModel({ ...line({ assembly: 'LINE_01' }), unassigned: { site: 'lab' } }, 'model.yml');
+
+    const [[first, second], warnings] = quietly(() => [
+        model.locate({ equipmentId: 'MIXER_01', area: 'MIXING' }),
+        model.locate({ equipmentId: 'MIXER_01', area: 'MIXING' })
+    ]);
+    assert.strictEqual(AssetModel.topicPath(first), 'acme/lab/MIXING/UNASSIGNED/MIXER_01');
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(warnings.length, 1);
+});
+
+test('rejects equipment placed twice and names that are not topic levels', () => {
+    const twice = line({ assembly: 'LINE_01', packing: 'LINE_01' });
+
+    assert.throws(() => new AssetModel(twice, 'model.yml'),
+        /LINE_01 is placed in both detroit\/production\/line1\/assembly and detroit\/production\/line1\/packing/);
+    assert.throws(() => new AssetModel(line({ 'cell/1': 'LINE_01' }), 'model.yml'), /cell "cell\/1" is not a valid topic level/);
+    assert.throws(() => new AssetModel({ enterprise: 'acme+' }, 'model.yml'), /enterprise "acme\+" is not a valid topic level/);
+    assert.throws(() => new AssetModel({}, 'model.yml'), /enterprise "" is not a valid topic level/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BatchWriter } = require('../batch-writer');
+
+function createCollection(insertMany = async () => {}) {
+    const inserted = [];
+    return {
+        inserted,
+        collectionName: 'test',
+        async insertMany(documents, options) {
+            await insertMany(documents, options);
+            inserted.push(...documents);
+        }
+    };
+}
+
+test('writes a batch once batchSize documents are waiting', async () => {
+    const collection = createCollection();
+    const writer = new BatchWriter({ collection, batchSize: 2, flushInterval: 60000 });
+
+    await writer.add({ _id: 1 });
+    assert.strictEqual(collection.inserted.length, 0);
+    await writer.add({ _id: 2 });
+    await writer.flushing;
+    await writer.close();
+
+    assert.deepStrictEqual(collection.inserted.map(document => document._id), [1, 2]);
+    assert.strictEqual(writer.stats().written, 2);
+});
+
+test('calls back for a document once it is written, not when it is buffered', async () => {
+    const collection = createCollection();
+    const writer = new BatchWriter({ collection, batchSize: 10, flushInterval: 60000 });
+    const written = [];
+
+    await writer.add({ _id: 'a' }, () => written.push('a'));
+    assert.deepStrictEqual(written, []);
+    await writer.flush();
+    await writer.close();
+
+    assert.deepStrictEqual(written, ['a']);
+});
+
+test('counts documents already in the collection as written', async () => {
+    const collection = createCollection(async documents => {
+        const error = new Error('E11000 duplicate key');
+        error.writeErrors = [{ code: 11000, index: 0 }];
+        throw error;
+    });
+    const writer = new BatchWriter({ collection, batchSize: 10, flushInterval: 60000 });
+    const written = [];
+
+    await writer.add({ _id: 'seen' }, () => written.push('seen'));
+    await writer.flush();
+    await writer.close();
+
+    assert.deepStrictEqual(written, ['seen']);
+    assert.strictEqual(writer.stats().duplicates, 1);
+});
+
+test('retries a failed batch', async () => {
+    let failures = 1;
+    const collection = createCollection(async () => {
+        if (failures-- > 0) throw new Error('not primary');
+    });
+    const writer = new BatchWriter({ collection, batchSize: 10, flushInterval: 60000 });
+    const written = [];
+
+    await writer.add({ _id: 'kept' }, () => written.push('kept'));
+    await writer.flush();
+    assert.deepStrictEqual(written, []);
+    assert.strictEqual(writer.stats().pending, 1);
+
+    await writer.flush();
+    await writer.close();
+    assert.deepStrictEqual(written, ['kept']);
+    assert.strictEqual(writer.stats().failedBatches, 1);
+});
+
+test('drops what no longer fits into the buffer and never calls back for it', async () => {
+    let failing = true;
+    const collection = createCollection(async () => {
+        if (failing) throw new Error('not primary');
+    });
+    const writer = new BatchWriter({ collection, batchSize: 2, flushInterval: 60000, maxPending: 2 });
+    const written = [];
+
+    await writer.add({ _id: 'a' }, () => written.push('a'));
+    await writer.add({ _id: 'b' }, () => written.push('b'));
+    // Buffered while the batch of a and b is failing, so only a fits back in
+    await writer.add({ _id: 'c' }, () => written.push('c'));
+    await writer.flushing;
+    assert.strictEqual(writer.stats().dropped, 1);
+
+    failing = false;
+    await writer.close();
+    assert.deepStrictEqual(written, ['a', 'c']);
+    assert.deepStrictEqual(collection.inserted.map(document => document._id), ['a', 'c']);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Coordinator } = require('../coordinator');
+const { createFakeRedis } = require('./fake-redis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sample = (equipmentId, timestamp) => ({ source: { equipmentId }, timestamp });
+
+function createCoordinator(redis, instanceId, options = {}) {
+    const calls = [];
+    const coordinator = new Coordinator({
+        redisClient: redis.client,
+        group: 'processors',
+        instanceId,
+        evict: async equipmentId => calls.push(['evict', equipmentId]),
+        persist: async equipmentId => calls.push(['persist', equipmentId]),
+        ...options
+    });
+    return { coordinator, calls };
+}
+
+test('claims a sample as new, then duplicate, and an older one as late', async () => {
+    const redis = createFakeRedis();
+    const { coordinator } = createCoordinator(redis, 'a');
+
+    assert.strictEqual(await coordinator.claim(sample('CNC_01', '2026-10-19T08:00:10Z')), 'new');
+    assert.strictEqual(await coordinator.claim(sample('CNC_01', '2026-10-19T08:00:10Z')), 'duplicate');
+    assert.strictEqual(await coordinator.claim(sample('CNC_01', '2026-10-19T08:00:05Z')), 'late');
+    assert.strictEqual(await coordinator.claim(sample('CNC_02', '2026-10-19T08:00:05Z')), 'new');
+
+    await coordinator.unclaim(sample('CNC_01', '2026-10-19T08:00:10Z'));
+    assert.strictEqual(await coordinator.claim(sample('CNC_01', '2026-10-19T08:00:10Z')), 'new');
+    assert.deepStrictEqual({ duplicates: coordinator.duplicates, late: coordinator.late }, { duplicates: 1, late: 1 });
+});
+
+test('runs the work of one equipment on one processor at a time, oldest sample first', async () => {
+    const redis = createFakeRedis();
+    const { coordinator: a } = createCoordinator(redis, 'a');
+    const { coordinator: b } = createCoordinator(redis, 'b');
+    const order = [];
+    const running = new Set();
+    const work = (equipmentId, time) => async () => {
+        assert.ok(!running.has(equipmentId));
+        running.add(equipmentId);
+        await sleep(5);
+        order.push(`${equipmentId}@${time}`);
+        running.delete(equipmentId);
+    };
+
+    // Both tickets are pending before either takes the lock
+    await Promise.all([
+        b.withEquipment('CNC_01', work('CNC_01', 2000), 2000),
+        a.withEquipment('CNC_01', work('CNC_01', 1000), 1000),
+        a.withEquipment('CNC_02', work('CNC_02', 3000), 3000)
+    ]);
+
+    assert.deepStrictEqual(order.filter(entry => entry.startsWith('CNC_01')), ['CNC_01@1000', 'CNC_01@2000']);
+    assert.ok(!redis.strings.has('equipment:CNC_01:lock'));
+    assert.deepStrictEqual(await redis.client.zRange('equipment:CNC_01:pending', 0, -1), []);
+});
+
+test('evicts the cached state when another processor handled the equipment last', async () => {
+    const redis = createFakeRedis();
+    const { coordinator: a, calls: callsOfA } = createCoordinator(redis, 'a');
+    const { coordinator: b } = createCoordinator(redis, 'b');
+
+    await a.withEquipment('CNC_01', async () => {});
+    await a.withEquipment('CNC_01', async () => {});
+    await b.withEquipment('CNC_01', async () => {});
+    await a.withEquipment('CNC_01', async () => {});
+
+    assert.deepStrictEqual(callsOfA.filter(([call]) => call === 'evict').length, 2);
+    assert.strictEqual(a.handovers, 2);
+});
+
+test('evicts and releases the lock when the work fails', async () => {
+    const redis = createFakeRedis();
+    const { coordinator, calls } = createCoordinator(redis, 'a');
+    redis.strings.set('equipment:CNC_01:owner', 'a');
+
+    await assert.rejects(coordinator.withEquipment('CNC_01', async () => {
+        throw new Error('boom');
+    }, 1000), /boom/);
+
+    assert.deepStrictEqual(calls, [['evict', 'CNC_01']]);
+    assert.ok(!redis.strings.has('equipment:CNC_01:lock'));
+});
+
+test('renews the lock while the work takes longer than its TTL', async () => {
+    const redis = createFakeRedis();
+    const { coordinator: a, calls } = createCoordinator(redis, 'a', { lockTtl: 0.06 });
+    const { coordinator: b } = createCoordinator(redis, 'b', { lockTtl: 0.06 });
+    const events = [];
+
+    const slow = a.withEquipment('CNC_01', async () => {
+        events.push('a started');
+        await sleep(200);
+        events.push('a done');
+    });
+    await sleep(20);
+    await b.withEquipment('CNC_01', async () => events.push('b started'));
+    await slow;
+
+    assert.deepStrictEqual(events, ['a started', 'a done', 'b started']);
+    assert.deepStrictEqual(calls.filter(([call]) => call === 'persist').length, 1);
+    assert.strictEqual(a.lostLocks, 0);
+});
+
+test('does not save the state after losing the lock, nor release the new holder\'s lock', async () => {
+    const redis = createFakeRedis();
+    const { coordinator, calls } = createCoordinator(redis, 'a', { lockTtl: 0.06 });
+
+    const result = await coordinator.withEquipment('CNC_01', async () => {
+        // The lock expired and another processor took it over
+        await redis.client.set('equipment:CNC_01:lock', 'b:1', { PX: 10000 });
+        await sleep(60);
+        return 'done';
+    });
+
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(calls, [['evict', 'CNC_01'], ['evict', 'CNC_01']]);
+    assert.strictEqual(coordinator.lostLocks, 1);
+    assert.strictEqual(redis.strings.get('equipment:CNC_01:lock'), 'b:1');
+});
+
+test('treats the lock as lost when no renewal got through for its TTL', async () => {
+    const redis = createFakeRedis();
+    const { coordinator, calls } = createCoordinator(redis, 'a', { lockTtl: 0.03 });
+    const evalCommand = redis.client.eval;
+    redis.client.eval = async (script, options) => {
+        if (!script.includes("'del'")) throw new Error('connection lost');
+        return evalCommand(script, options);
+    };
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+        await coordinator.withEquipment('CNC_01', () => sleep(50));
+    } finally {
+        console.error = error;
+    }
+
+    assert.ok(!calls.some(([call]) => call === 'persist'));
+    assert.strictEqual(coordinator.lostLocks, 1);
+});
+
+test('elects one leader and hands the lead over when it stops', async () => {
+    const redis = createFakeRedis();
+    const { coordinator: a } = createCoordinator(redis, 'a');
+    const { coordinator: b } = createCoordinator(redis, 'b');
+    const log = console.log;
+    console.log = () => {};
+
+    try {
+        await a.campaign();
+        await b.campaign();
+        assert.deepStrictEqual([a.leader, b.leader], [true, false]);
+        assert.strictEqual(await b.lastSeen(), null);
+
+        await a.seen('CNC_01', 1000);
+        assert.deepStrictEqual(await a.lastSeen(), [['CNC_01', 1000]]);
+
+        await a.stop();
+        await b.campaign();
+        assert.deepStrictEqual([a.leader, b.leader], [false, true]);
+    } finally {
+        console.log = log;
+    }
+});
+
+test('without a group runs the work directly and leads', async () => {
+    const redis = createFakeRedis();
+    const { coordinator, calls } = createCoordinator(redis, 'a', { group: null });
+
+    assert.strictEqual(await coordinator.withEquipment('CNC_01', async () => 'done', 1000), 'done');
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(redis.client.commands, 0);
+    assert.ok(coordinator.leader);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DeadLetterQueue, RejectedMessageError } = require('../dead-letter');
+const { createApi } = require('../api');
+const { createFakeMqtt } = require('./fake-redis');
+const { createFakeDb } = require('./fake-mongo');
+
+// Re-submitted messages go through when they parse and carry a machineId
+async function reprocess(topic, message) {
+    let data;
+    try {
+        data = JSON.parse(message.toString());
+    } catch (error) {
+        throw new RejectedMessageError('PARSE', `Invalid JSON: ${error.message}`);
+    }
+    if (!data.machineId) {
+        throw new RejectedMessageError('VALIDATION', 'Schema validation failed', ["/ must have required property 'machineId'"], 'raw-plc v1');
+    }
+}
+
+function createQueue() {
+    const mqtt = createFakeMqtt();
+    const db = createFakeDb();
+    return { mqtt, db, queue: new DeadLetterQueue({ db, mqttClient: mqtt, reprocess }) };
+}
+
+// Serves the API of a processor with just this queue on a free port
+async function serve(t, queue) {
+    const server = createApi({ deadLetterQueue: queue }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const base = `http://127.0.0.1:${server.address().port}/api/dlq`;
+    return async (path, options = {}) => {
+        const response = await fetch(base + path, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body && JSON.stringify(options.body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+test('keeps a rejected message with its original bytes and announces it', async () => {
+    const { queue, mqtt } = createQueue();
+
+    const document = await queue.add('raw/plc/line1/data', Buffer.from('{"a":'), new RejectedMessageError('PARSE', 'Invalid JSON'));
+    await queue.add('raw/plc/line1/data', Buffer.from('{}'), new Error('connection reset'));
+
+    assert.deepStrictEqual([document.stage, document.status, document.payload], ['PARSE', 'PENDING', '{"a":']);
+    assert.strictEqual(Buffer.from(document.payloadBase64, 'base64').toString(), '{"a":');
+    assert.deepStrictEqual(mqtt.published.map(message => message.topic), [
+        'uns/_system/dlq/raw/plc/line1/data',
+        'uns/_system/dlq/raw/plc/line1/data'
+    ]);
+    assert.strictEqual(JSON.parse(mqtt.published[1].payload).stage, 'PROCESSING');
+});
+
+test('lists, edits and re-submits dead letters through the API until they go through', async t => {
+    const { queue } = createQueue();
+    const request = await serve(t, queue);
+    const { _id } = await queue.add('raw/plc/line1/data', Buffer.from('{"timestamp":1'), new RejectedMessageError('PARSE', 'Invalid JSON'));
+    await queue.add('raw/plc/pkg/data', Buffer.from('{}'), new RejectedMessageError('VALIDATION', 'Schema validation failed'));
+
+    const listed = await request('?stage=PARSE');
+    assert.deepStrictEqual(listed.body.map(document => document.topic), ['raw/plc/line1/data']);
+    assert.strictEqual((await request('?limit=1&skip=1')).body.length, 1);
+
+    const rejected = await request(`/${_id}/resubmit`, { method: 'POST' });
+    assert.deepStrictEqual([rejected.body.status, rejected.body.attempts.length, rejected.body.stage], ['PENDING', 1, 'PARSE']);
+
+    const edited = await request(`/${_id}`, { method: 'PUT', body: { payload: { timestamp: 1 } } });
+    assert.strictEqual(edited.body.payload, '{"timestamp":1}');
+    const stillRejected = await request(`/${_id}/resubmit`, { method: 'POST' });
+    assert.deepStrictEqual([stillRejected.body.stage, stillRejected.body.details], ['VALIDATION', ["/ must have required property 'machineId'"]]);
+
+    await request(`/${_id}`, { method: 'PUT', body: { payload: '{"machineId":"LINE_01"}' } });
+    const resolved = await request(`/${_id}/resubmit`, { method: 'POST' });
+    assert.deepStrictEqual([resolved.body.status, resolved.body.attempts.map(attempt => attempt.status)], ['RESOLVED', ['REJECTED', 'REJECTED', 'RESOLVED']]);
+
+    // A resolved letter can no longer be edited
+    assert.strictEqual((await request(`/${_id}`, { method: 'PUT', body: { payload: '{}' } })).status, 404);
+});
+
+test('answers 404 for unknown ids and 400 without a payload', async t => {
+    const { queue } = createQueue();
+    const request = await serve(t, queue);
+    const { _id } = await queue.add('raw/x', Buffer.from('x'), new Error('boom'));
+
+    assert.strictEqual((await request('/not-an-id')).status, 404);
+    assert.strictEqual((await request('/0123456789abcdef01234567/resubmit', { method: 'POST' })).status, 404);
+    assert.deepStrictEqual(await request(`/${_id}`, { method: 'PUT', body: {} }), { status: 400, body: { error: 'payload is required' } });
+    assert.strictEqual((await request(`/${_id}`)).body.error, 'boom');
+});
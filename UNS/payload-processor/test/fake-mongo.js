@@ -0,0 +1,104 @@
+// In-memory stand-in for the collections of a MongoDB database, covering the
+// queries the processor makes: equality, $ne, $gte and $lt on (dotted) fields,
+// sort on one field, skip and limit, findOne, inserts, replaceOne upserts and
+// findOneAndUpdate with $set and $push.
+const { ObjectId } = require('mongodb');
+
+const read = (document, path) => path.split('.').reduce((value, key) => value?.[key], document);
+const same = (a, b) => {
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof ObjectId) return a.equals(b);
+    return a === b;
+};
+
+function matches(document, query) {
+    return Object.entries(query).every(([path, condition]) => {
+        const value = read(document, path);
+        if (condition === null || typeof condition !== 'object' || condition instanceof Date || condition instanceof ObjectId) {
+            return same(value, condition);
+        }
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (operator === '$ne') return !same(value, operand);
+            if (operator === '$gte') return value >= operand;
+            if (operator === '$lt') return value < operand;
+            throw new Error(`fake-mongo does not support ${operator}`);
+        });
+    });
+}
+
+function sorted(documents, sort = {}) {
+    const [[field, direction] = []] = Object.entries(sort);
+    return field ? [...documents].sort((a, b) => (read(a, field) - read(b, field)) * direction) : [...documents];
+}
+
+function createCollection(name) {
+    const documents = [];
+    return {
+        documents,
+        collectionName: name,
+        find(query) {
+            let sort;
+            let skip = 0;
+            let limit = Infinity;
+            const cursor = {
+                project: () => cursor,
+                sort: fields => {
+                    sort = fields;
+                    return cursor;
+                },
+                skip: count => {
+                    skip = count;
+                    return cursor;
+                },
+                limit: count => {
+                    limit = count;
+                    return cursor;
+                },
+                toArray: async () => sorted(documents.filter(document => matches(document, query)), sort).slice(skip, skip + limit),
+                async *[Symbol.asyncIterator]() {
+                    yield* await cursor.toArray();
+                }
+            };
+            return cursor;
+        },
+        async findOne(query, options = {}) {
+            return sorted(documents.filter(document => matches(document, query)), options.sort)[0] ?? null;
+        },
+        async insertOne(document) {
+            const insertedId = document._id ?? new ObjectId();
+            documents.push({ ...document, _id: insertedId });
+            return { insertedId };
+        },
+        async insertMany(inserted) {
+            documents.push(...inserted.map(document => ({ ...document })));
+        },
+        async findOneAndUpdate(query, update, options = {}) {
+            const document = documents.find(candidate => matches(candidate, query));
+            if (!document) return null;
+            const before = { ...document };
+            Object.assign(document, update.$set);
+            Object.entries(update.$push || {}).forEach(([field, value]) => {
+                document[field] = [...(document[field] || []), value];
+            });
+            return options.returnDocument === 'after' ? { ...document } : before;
+        },
+        async bulkWrite(operations) {
+            operations.forEach(({ replaceOne: { filter, replacement } }) => {
+                const index = documents.findIndex(document => matches(document, filter));
+                documents.splice(index < 0 ? documents.length : index, index < 0 ? 0 : 1, { ...replacement });
+            });
+        }
+    };
+}
+
+function createFakeDb() {
+    const collections = new Map();
+    return {
+        collection(name) {
+            if (!collections.has(name)) collections.set(name, createCollection(name));
+            return collections.get(name);
+        }
+    };
+}
+
+module.exports = { createFakeDb };
@@ -0,0 +1,174 @@
+// In-memory stand-in for the node-redis v4 client, covering the commands the
+// processor uses. Every command yields to the event loop like a round trip would.
+function createFakeRedis() {
+    const strings = new Map();
+    const hashes = new Map();
+    const sets = new Map();
+    const zsets = new Map();
+    const expiry = new Map(); // key -> epoch ms
+
+    const expire = key => {
+        if (expiry.has(key) && expiry.get(key) <= Date.now()) {
+            strings.delete(key);
+            expiry.delete(key);
+        }
+    };
+    const zset = key => {
+        if (!zsets.has(key)) zsets.set(key, new Map());
+        return zsets.get(key);
+    };
+    const sorted = key => Array.from(zset(key).entries())
+        .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+        .map(([value, score]) => ({ value, score }));
+    const bound = limit => (limit === '-inf' ? -Infinity : limit === '+inf' ? Infinity : Number(limit));
+
+    const commands = {
+        get(key) {
+            expire(key);
+            return strings.get(key) ?? null;
+        },
+        set(key, value, options = {}) {
+            expire(key);
+            const previous = strings.get(key) ?? null;
+            if (options.NX && strings.has(key)) return null;
+            strings.set(key, String(value));
+            if (options.PX) {
+                expiry.set(key, Date.now() + options.PX);
+            } else {
+                expiry.delete(key);
+            }
+            return options.GET ? previous : 'OK';
+        },
+        del(keys) {
+            return [].concat(keys).filter(key => [strings, hashes, sets, zsets].some(map => map.delete(key))).length;
+        },
+        pExpire(key, ms) {
+            expiry.set(key, Date.now() + ms);
+            return 1;
+        },
+        hSet(key, fields, value) {
+            const hash = hashes.get(key) || {};
+            Object.assign(hash, typeof fields === 'object' ? fields : { [fields]: value });
+            hashes.set(key, hash);
+            return 1;
+        },
+        hGet(key, field) {
+            return (hashes.get(key) || {})[field] ?? null;
+        },
+        hGetAll(key) {
+            return { ...(hashes.get(key) || {}) };
+        },
+        hDel(key, fields) {
+            const hash = hashes.get(key) || {};
+            [].concat(fields).forEach(field => delete hash[field]);
+            return 1;
+        },
+        sAdd(key, members) {
+            if (!sets.has(key)) sets.set(key, new Set());
+            [].concat(members).forEach(member => sets.get(key).add(member));
+            return 1;
+        },
+        sMembers(key) {
+            return Array.from(sets.get(key) || []);
+        },
+        sPop(key, count) {
+            const popped = Array.from(sets.get(key) || []).slice(0, count);
+            popped.forEach(member => sets.get(key).delete(member));
+            return popped;
+        },
+        zAdd(key, { score: memberScore, value }, options = {}) {
+            const members = zset(key);
+            if (options.NX && members.has(value)) return 0;
+            const added = members.has(value) ? 0 : 1;
+            members.set(value, memberScore);
+            return added;
+        },
+        zRange(key, start, stop) {
+            const values = sorted(key).map(member => member.value);
+            const from = start < 0 ? values.length + start : start;
+            const to = stop < 0 ? values.length + stop : stop;
+            return values.slice(Math.max(from, 0), to + 1);
+        },
+        zRangeWithScores(key) {
+            return sorted(key);
+        },
+        zRangeByScore(key, min, max) {
+            return sorted(key).filter(member => member.score >= bound(min) && member.score <= bound(max)).map(member => member.value);
+        },
+        zRem(key, values) {
+            return [].concat(values).filter(value => zset(key).delete(value)).length;
+        },
+        zRemRangeByScore(key, min, max) {
+            let removed = 0;
+            zset(key).forEach((memberScore, value) => {
+                if (memberScore >= bound(min) && memberScore <= bound(max)) {
+                    zset(key).delete(value);
+                    removed++;
+                }
+            });
+            return removed;
+        },
+        // Only the token-checked scripts of the coordinator: release and renew
+        eval(script, { keys: [key], arguments: [token, ttl] }) {
+            expire(key);
+            if (strings.get(key) !== token) return 0;
+            if (script.includes("'del'")) {
+                strings.delete(key);
+                expiry.delete(key);
+            } else {
+                expiry.set(key, Date.now() + Number(ttl));
+            }
+            return 1;
+        }
+    };
+
+    const client = { commands: 0 };
+    Object.entries(commands).forEach(([name, command]) => {
+        client[name] = async (...args) => {
+            client.commands++;
+            await new Promise(resolve => setImmediate(resolve));
+            return command(...args);
+        };
+    });
+    client.multi = () => {
+        const queued = [];
+        const transaction = new Proxy({}, {
+            get(target, name) {
+                if (name === 'exec' || name === 'execAsPipeline') {
+                    return async () => {
+                        client.commands++;
+                        await new Promise(resolve => setImmediate(resolve));
+                        return queued.map(command => command());
+                    };
+                }
+                return (...args) => {
+                    queued.push(() => commands[name](...args));
+                    return transaction;
+                };
+            }
+        });
+        return transaction;
+    };
+    client.scanIterator = async function* ({ MATCH = '*' } = {}) {
+        const pattern = new RegExp(`^${MATCH.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        for (const key of [...strings.keys(), ...hashes.keys(), ...sets.keys(), ...zsets.keys()]) {
+            if (pattern.test(key)) yield key;
+        }
+    };
+
+    return { client, strings, hashes, sets, zsets };
+}
+
+// Records what is published, calling back like a connected client
+function createFakeMqtt() {
+    const published = [];
+    return {
+        published,
+        publish(topic, payload, options, callback) {
+            published.push({ topic, payload, options });
+            if (callback) setImmediate(callback);
+        }
+    };
+}
+
+module.exports = { createFakeRedis, createFakeMqtt };
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Historian, MAX_GAP } = require('../historian');
+const { HistoryQuery } = require('../history');
+const { createFakeRedis } = require('./fake-redis');
+const { createFakeDb } = require('./fake-mongo');
+
+const FROM = Date.parse('2024-01-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+const RETENTION = { raw: 36500, '1m': 36500, '1h': 36500, '1d': 36500 };
+
+function createHistorian(t) {
+    const db = createFakeDb();
+    const redis = createFakeRedis();
+    const historian = new Historian({ db, redisClient: redis.client, retention: RETENTION, batchSize: 100, flushInterval: 60 });
+    t.after(() => historian.stop());
+    return { db, redis, historian };
+}
+
+const document = (time, temperature, state) => ({
+    timestamp: new Date(time).toISOString(),
+    source: { equipmentId: 'LINE_01' },
+    process: { parameters: { temperature: { value: temperature, unit: 'Cel' } } },
+    equipment: {},
+    maintenance: { currentState: state }
+});
+
+async function record(historian, documents) {
+    for (const data of documents) {
+        await historian.record(data);
+    }
+    await historian.writer.flush();
+}
+
+const rollup = (db, collection, metric, bucket) => db.collection(collection).documents
+    .find(document => document.metric === metric && document.bucket.getTime() === bucket);
+
+test('rolls up the area under the line through the samples around each bucket', async t => {
+    const { db, historian } = createHistorian(t);
+    await record(historian, [
+        document(FROM - 30000, 10, 'RUNNING'),
+        document(FROM + 30000, 20, 'IDLE'),
+        document(FROM + 90000, 20, 'IDLE')
+    ]);
+    await historian.rollUp();
+
+    // 10 -> 20 over the 30 s before the first sample in the bucket, 15 -> 20 of it inside
+    const minute = rollup(db, 'measurements_1m', 'temperature', FROM);
+    assert.deepStrictEqual([minute.count, minute.avg, minute.area, minute.covered], [1, 20, 17.5 * 30 + 20 * 30, 60]);
+    // Nothing after the last sample
+    assert.strictEqual(rollup(db, 'measurements_1m', 'temperature', FROM + MINUTE).covered, 30);
+    assert.deepStrictEqual(rollup(db, 'measurements_1m', 'state', FROM).durations, { RUNNING: 30, IDLE: 30 });
+
+    const hour = rollup(db, 'measurements_1h', 'temperature', FROM);
+    assert.deepStrictEqual([hour.count, hour.area, hour.covered], [2, 1125 + 600, 90]);
+
+    const history = new HistoryQuery({ db, retention: RETENTION });
+    const twa = async source => (await history.query('LINE_01', 'temperature', {
+        mode: 'aggregated', source, from: String(FROM), to: String(FROM + 60 * MINUTE)
+    })).points[0].twa;
+    assert.deepStrictEqual([await twa('raw'), await twa('1m'), await twa('1h')], [19.167, 19.167, 19.167]);
+});
+
+test('rolls up a minute once more after it has settled', async t => {
+    const { db, redis, historian } = createHistorian(t);
+    const start = Math.floor(Date.now() / MINUTE) * MINUTE;
+    const member = `LINE_01|${start}`;
+    await record(historian, [document(start, 10, 'RUNNING')]);
+    await historian.rollUp();
+
+    // Rolled up while open: queued until no sample can change it any more
+    assert.strictEqual(rollup(db, 'measurements_1m', 'temperature', start).covered, 0);
+    assert.deepStrictEqual(await redis.client.zRangeWithScores('historian:settling:1m'), [{ value: member, score: start + MINUTE + MAX_GAP }]);
+    assert.strictEqual(await historian.rollUp(), 0);
+
+    // The next sample arrives, and is written to the following minute only
+    await db.collection('measurements').insertMany([
+        { timestamp: new Date(start + MINUTE), meta: { equipmentId: 'LINE_01', metric: 'temperature' }, value: 30 }
+    ]);
+    const now = Date.now;
+    Date.now = () => start + MINUTE + MAX_GAP;
+    try {
+        assert.strictEqual(await historian.rollUp(), 3);
+    } finally {
+        Date.now = now;
+    }
+
+    const settled = rollup(db, 'measurements_1m', 'temperature', start);
+    assert.deepStrictEqual([settled.area, settled.covered], [1200, 60]);
+    assert.deepStrictEqual(await redis.client.zRange('historian:settling:1m', 0, -1), []);
+});
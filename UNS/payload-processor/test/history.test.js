@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HistoryQuery } = require('../history');
+
+const FROM = Date.parse('2024-01-01T00:00:00Z');
+const RETENTION = { raw: 36500, '1m': 36500, '1h': 36500, '1d': 36500 };
+
+// A find() cursor over documents in time order, filtered like the query asks
+function cursor(documents, query) {
+    const field = query.timestamp ? 'timestamp' : 'bucket';
+    const range = query[field];
+    const chain = {
+        project: () => chain,
+        sort: () => chain,
+        async *[Symbol.asyncIterator]() {
+            for (const document of documents()) {
+                const time = document[field].getTime();
+                if (time >= range.$gte.getTime() && time < range.$lt.getTime()) yield document;
+            }
+        }
+    };
+    return chain;
+}
+
+function historyQuery({ samples = () => [], rollups = () => [] }) {
+    const db = { collection: name => ({ find: query => cursor(name === 'measurements' ? samples : rollups, query) }) };
+    return new HistoryQuery({ db, retention: RETENTION });
+}
+
+// More samples than a spread call takes as arguments, generated as they stream
+const COUNT = 200000;
+function* ramp() {
+    for (let i = 0; i < COUNT; i++) {
+        yield { timestamp: new Date(FROM + i * 1000), value: i % 1000, unit: 'C' };
+    }
+}
+
+test('aggregates one window of more samples than fit in a spread', async () => {
+    const result = await historyQuery({ samples: ramp }).query('LINE_01', 'temperature', {
+        mode: 'aggregated', source: 'raw', from: String(FROM), to: String(FROM + COUNT * 1000)
+    });
+    assert.strictEqual(result.points.length, 1);
+    const [point] = result.points;
+    assert.strictEqual(point.count, COUNT);
+    assert.strictEqual(point.min, 0);
+    assert.strictEqual(point.max, 999);
+    assert.strictEqual(point.last, 999);
+    assert.strictEqual(point.avg, 499.5);
+    assert.strictEqual(result.unit, 'C');
+});
+
+test('aggregates one window of more rollups than fit in a spread', async () => {
+    function* rollups() {
+        for (let i = 0; i < COUNT; i++) {
+            // Odd minutes have samples for half of the minute only, so they weigh half
+            const covered = i % 2 === 0 ? 60 : 30;
+            yield { bucket: new Date(FROM + i * 60000), count: 2, sum: 2 * i, min: i - 1, max: i + 1, last: i, avg: i, area: i * covered, covered };
+        }
+    }
+    const result = await historyQuery({ rollups }).query('LINE_01', 'temperature', {
+        mode: 'aggregated', source: '1m', from: String(FROM), to: String(FROM + COUNT * 60000)
+    });
+    const [point] = result.points;
+    assert.strictEqual(point.count, 2 * COUNT);
+    assert.strictEqual(point.min, -1);
+    assert.strictEqual(point.max, COUNT);
+    assert.strictEqual(point.last, COUNT - 1);
+    assert.strictEqual(point.avg, (COUNT - 1) / 2);
+    assert.strictEqual(point.twa, 99999.333);
+});
+
+test('time-weighted average follows the line through the samples around the bucket', async () => {
+    const samples = () => [
+        { timestamp: new Date(FROM - 60000), value: 0 },
+        { timestamp: new Date(FROM + 60000), value: 20 },
+        { timestamp: new Date(FROM + 180000), value: 20 }
+    ];
+    const result = await historyQuery({ samples }).query('LINE_01', 'temperature', {
+        mode: 'aggregated', source: 'raw', from: String(FROM), to: String(FROM + 120000), interval: '1m'
+    });
+    assert.deepStrictEqual(result.points.map(point => [point.count, point.twa]), [[0, 15], [1, 20]]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Inbox } = require('../inbox');
+const { createFakeRedis } = require('./fake-redis');
+
+function createInbox(redis, instanceId) {
+    const replayed = [];
+    const inbox = new Inbox({
+        redisClient: redis.client,
+        instanceId,
+        replay: (topic, message, id) => replayed.push({ topic, message: message.toString(), id })
+    });
+    return { inbox, replayed };
+}
+
+test('keeps a message until it is done', async () => {
+    const redis = createFakeRedis();
+    const { inbox } = createInbox(redis, 'a');
+
+    const id = await inbox.add('raw/line1/CNC_01/data', Buffer.from('{"temp":61}'));
+    assert.deepStrictEqual(Object.keys(redis.hashes.get('payload-processor:inbox:a')), [id]);
+
+    inbox.done(id);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(redis.hashes.get('payload-processor:inbox:a'), {});
+    assert.deepStrictEqual(inbox.stats(), { pending: 0, added: 1, recovered: 0 });
+});
+
+test('replays the inbox of a processor that died, once and in arrival order', async () => {
+    const redis = createFakeRedis();
+    const { inbox: dead } = createInbox(redis, 'dead');
+    await dead.add('raw/a', Buffer.from('first'));
+    await dead.add('raw/b', Buffer.from('second'));
+
+    const { inbox: first, replayed } = createInbox(redis, 'first');
+    const { inbox: second, replayed: replayedBySecond } = createInbox(redis, 'second');
+    await Promise.all([first.recover(), second.recover()]);
+
+    assert.deepStrictEqual([...replayed, ...replayedBySecond].map(entry => entry.message), ['first', 'second']);
+    assert.ok(!redis.hashes.has('payload-processor:inbox:dead'));
+    // The replayed messages are in the inbox of whoever replays them now
+    const owner = replayed.length > 0 ? 'first' : 'second';
+    assert.strictEqual(Object.keys(redis.hashes.get(`payload-processor:inbox:${owner}`)).length, 2);
+});
+
+test('leaves the inbox of a running processor alone', async () => {
+    const redis = createFakeRedis();
+    const { inbox: running } = createInbox(redis, 'running');
+    await running.heartbeat();
+    await running.add('raw/a', Buffer.from('queued'));
+
+    const { inbox, replayed } = createInbox(redis, 'other');
+    await inbox.recover();
+
+    assert.deepStrictEqual(replayed, []);
+    assert.strictEqual(Object.keys(redis.hashes.get('payload-processor:inbox:running')).length, 1);
+});
+
+test('replays its own inbox when it starts again under the same instance ID', async () => {
+    const redis = createFakeRedis();
+    const { inbox: before } = createInbox(redis, 'fixed');
+    await before.add('raw/a', Buffer.from('unwritten'));
+
+    const { inbox: after, replayed } = createInbox(redis, 'fixed');
+    await after.start();
+    await after.stop();
+
+    assert.deepStrictEqual(replayed.map(entry => entry.message), ['unwritten']);
+    assert.ok(!redis.strings.has('payload-processor:alive:fixed'));
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MaintenanceModel } = require('../maintenance-model');
+const { createFakeRedis } = require('./fake-redis');
+
+const TYPES = {
+    routine: { frequency: 168, duration: 1 },
+    preventive: { frequency: 500, duration: 4, canDefer: true, maxDefer: 48 }
+};
+
+function createModel(redis = createFakeRedis(), options = {}) {
+    return new MaintenanceModel({
+        redisClient: redis.client,
+        equipment: { LINE_01: { interval: 100, capacity: 100 } },
+        types: TYPES,
+        conditions: { vibration: { warning: 4, limit: 6 } },
+        ...options
+    });
+}
+
+const sample = (age, { vibration, cycles, state = 'RUNNING', runtime = 1200 } = {}) => ({
+    source: { equipmentId: 'LINE_01' },
+    maintenance: { lastMaintenanceHours: age, currentState: state },
+    equipment: { performance: { cycleCount: cycles, runtimeHours: runtime } },
+    process: { parameters: vibration === undefined ? {} : { vibration: { value: vibration } } }
+});
+
+// Feeds samples every 0.02 operating hours from one age to another
+async function run(model, from, to, fields) {
+    let result;
+    for (let step = 0; from + step * 0.02 <= to + 1e-9; step++) {
+        const age = Math.round((from + step * 0.02) * 100) / 100;
+        result = await model.assess(sample(age, fields(age)));
+    }
+    return result;
+}
+
+test('without condition data the maintenance interval decides, with the schedule of each type', async () => {
+    const result = await createModel().assess(sample(40));
+
+    assert.deepStrictEqual(result.remainingUsefulLife, { hours: 60, low: 54, high: 66, confidence: 0.9, driver: 'interval' });
+    assert.deepStrictEqual(result.schedule, {
+        routine: { dueIn: 60, duration: 1, latest: 60 },
+        preventive: { dueIn: 300, duration: 4, latest: 348 }
+    });
+    assert.strictEqual(result.nextMaintenanceDue, 60);
+    assert.deepStrictEqual(await createModel().assess({ ...sample(1), maintenance: { currentState: 'RUNNING' } }), {});
+});
+
+test('extrapolates a rising vibration trend to its limit', async () => {
+    const result = await run(createModel(), 0, 2, age => ({ vibration: 1 + 0.5 * age }));
+
+    const { vibration } = result.condition;
+    assert.deepStrictEqual([vibration.level, vibration.trend, vibration.status], [2, 0.5, 'NORMAL']);
+    assert.strictEqual(result.remainingUsefulLife.driver, 'vibration');
+    assert.ok(Math.abs(result.remainingUsefulLife.hours - 8) < 0.2, `${result.remainingUsefulLife.hours} h`);
+    assert.ok(result.remainingUsefulLife.low <= result.remainingUsefulLife.hours && result.remainingUsefulLife.hours <= result.remainingUsefulLife.high);
+});
+
+test('a spike over the limit raises an alarm and ends the useful life until maintenance', async () => {
+    const redis = createFakeRedis();
+    const model = createModel(redis);
+    await run(model, 0, 1, () => ({ vibration: 2 }));
+    // Smoothed into the recent level, the spike reaches 6.2
+    const alarm = await model.assess(sample(1.02, { vibration: 16 }));
+
+    assert.strictEqual(alarm.condition.vibration.status, 'ALARM');
+    assert.deepStrictEqual([alarm.remainingUsefulLife.hours, alarm.remainingUsefulLife.driver], [0, 'vibration']);
+    // Saved on the change of condition, so another processor carries on from it
+    const other = createModel(redis);
+    assert.strictEqual((await other.assess(sample(1.04, { vibration: 2 }))).condition.vibration.status, 'ALARM');
+
+    // The hour meter going back means maintenance was done
+    const maintained = await other.assess(sample(0.01, { vibration: 2 }));
+    assert.deepStrictEqual([maintained.condition.vibration.status, maintained.remainingUsefulLife.driver], ['NORMAL', 'interval']);
+});
+
+test('only counts vibration while running', async () => {
+    const result = await run(createModel(), 0, 1, () => ({ vibration: 8, state: 'IDLE' }));
+
+    assert.deepStrictEqual(result.condition, {});
+});
+
+test('running faster than the rated capacity wears the machine out sooner', async () => {
+    const result = await run(createModel(), 0, 1, age => ({ cycles: Math.round(200 * age) }));
+
+    // 100 h at 100 cycles/h allow 10000 cycles, 200 of them used
+    assert.strictEqual(result.remainingUsefulLife.driver, 'cycles');
+    assert.ok(Math.abs(result.remainingUsefulLife.hours - 49) < 0.5, `${result.remainingUsefulLife.hours} h`);
+});
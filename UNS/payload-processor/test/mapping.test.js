@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadMappings, SourceMapping } = require('../mapping');
+
+const MAPPINGS = path.join(__dirname, '..', 'mappings');
+
+function load() {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return loadMappings(MAPPINGS);
+    } finally {
+        console.log = log;
+    }
+}
+
+const definition = fields => ({
+    topics: ['raw/test/+/data'],
+    fields: { timestamp: 'ts', equipmentId: 'id', equipmentClass: { value: 'TEST' }, ...fields }
+});
+
+test('picks the mapping by topic', () => {
+    const mappings = load();
+
+    assert.strictEqual(mappings.forTopic('raw/plc/line1/data').name, 'plc');
+    assert.strictEqual(mappings.forTopic('raw/scada/mixer/data').name, 'scada');
+    assert.strictEqual(mappings.forTopic('raw/unknown'), null);
+    assert.ok(mappings.topics.includes('raw/scada/+/data'));
+});
+
+test('maps a SCADA tag snapshot onto a canonical record', () => {
+    const record = load().forTopic('raw/scada/mixer/data').apply({
+        equipment: 'MIXER_01',
+        ts: Date.parse('2024-01-01T08:00:00Z'),
+        tags: {
+            'Status/State': { value: 'Faulted' },
+            'Status/AlarmCode': { value: 'E007' },
+            'Process/Temperature': { value: 212, unit: '°F' },
+            'Process/Pressure': { value: 14.5037738 },
+            'Process/Power': { value: 1500 }
+        }
+    });
+
+    assert.deepStrictEqual(
+        [record.timestamp, record.equipmentId, record.equipmentClass, record.workUnit, record.area, record.state, record.errorCode, record.level],
+        ['2024-01-01T08:00:00.000Z', 'MIXER_01', 'SCADA_EQUIPMENT', 'MIXER_01', 'GENERAL', 'ERROR', 'E007', 'L2']
+    );
+    assert.strictEqual(record.parameters.temperature.value, 100);
+    // Without a unit on the tag the declared one applies
+    assert.strictEqual(record.parameters.pressure.value, 1);
+    assert.deepStrictEqual(record.parameters.powerConsumption, { value: 1.5, unit: 'kW', original: { value: 1500, unit: 'W' } });
+    assert.ok(!('speed' in record.parameters));
+});
+
+test('resolves paths, maps, defaults, scales and timestamp formats', () => {
+    const mapping = new SourceMapping(definition({
+        timestamp: { path: 'ts', format: 'epoch_s' },
+        state: { path: 'status.code', map: { 1: 'RUNNING', 2: 'IDLE' }, default: 'ERROR' },
+        efficiency: { path: 'oee[1]', scale: 100 },
+        area: { path: 'site.area', default: 'PACKING' },
+        historical: 'replayed'
+    }), 'test.yml');
+    const apply = data => mapping.apply({ ts: 1704067200, id: 'E1', oee: [0.5, 0.9], ...data });
+
+    const record = apply({ status: { code: 1 } });
+    assert.deepStrictEqual([record.timestamp, record.state, record.efficiency, record.area, record.historical],
+        ['2024-01-01T00:00:00.000Z', 'RUNNING', 90, 'PACKING', false]);
+    // An unmapped code falls back to the default, an unknown state to UNKNOWN
+    assert.strictEqual(apply({ status: { code: 7 } }).state, 'ERROR');
+    assert.strictEqual(new SourceMapping(definition({ state: 'state' }), 'test.yml').apply({ ts: 0, id: 'E1', state: 'WARMING' }).state, 'UNKNOWN');
+    assert.strictEqual(apply({ replayed: true }).historical, true);
+});
+
+test('rejects a payload without the required fields', () => {
+    const mapping = new SourceMapping(definition(), 'test.yml');
+
+    assert.throws(() => mapping.apply({ ts: '2024-01-01T00:00:00Z' }), /mapping test: no value for equipmentId/);
+});
+
+test('rejects invalid mapping files', () => {
+    assert.throws(() => new SourceMapping({ ...definition(), topics: [] }, 'a.yml'), /Mapping a.yml: no topics/);
+    assert.throws(() => new SourceMapping(definition({ colour: 'c' }), 'a.yml'), /unknown field "colour"/);
+    assert.throws(() => new SourceMapping({ topics: ['t'], fields: { timestamp: 'ts', equipmentId: 'id' } }, 'a.yml'), /field "equipmentClass" is required/);
+    assert.throws(() => new SourceMapping(definition({ timestamp: { path: 'ts', format: 'rfc' } }), 'a.yml'), /unknown format "rfc"/);
+    assert.throws(() => new SourceMapping(definition({ area: {} }), 'a.yml'), /area needs a path, value or default/);
+    assert.throws(() => new SourceMapping({ ...definition(), parameters: { temperature: { path: 't' } } }, 'a.yml'), /needs a unit or unit_path/);
+    assert.throws(() => new SourceMapping({ ...definition(), parameters: { temperature: { path: 't', unit: 'Cel', range: { low: 5, high: 1 } } } }, 'a.yml'),
+        /range needs numeric low < high/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PayloadProcessor } = require('../processor');
+const { Coordinator } = require('../coordinator');
+const { ReportByException } = require('../report-by-exception');
+const { RetainedState } = require('../retained-state');
+const { createFakeRedis, createFakeMqtt } = require('./fake-redis');
+
+const latest = {
+    schemaVersion: 1,
+    messageId: 'm-1',
+    timestamp: '2026-10-19T08:00:00.000Z',
+    source: { equipmentId: 'CNC_01', area: 'machining', workUnit: 'cell-1' },
+    equipment: { status: 'RUNNING' },
+    process: { parameters: { temperature: { value: 61.2, unit: 'Cel' } } },
+    quality: { goodParts: 120, badParts: 3 },
+    maintenance: { healthScore: 92 }
+};
+const metadata = { timestamp: '2026-10-19T07:00:00.000Z', equipmentClass: 'CNC', manufacturer: 'Haas' };
+
+// A processor of a group, with just what the rebuild needs around it
+function createProcessor(redis) {
+    const processor = new PayloadProcessor();
+    const mqtt = createFakeMqtt();
+    const noCache = { evict() {} };
+    processor.topicLayout = 'legacy';
+    processor.redisClient = redis.client;
+    processor.mqttClient = mqtt;
+    processor.publishing = { exceptions: new ReportByException({ maxSilence: 3600 }), parameterTopics: false };
+    processor.retainedState = new RetainedState({ redisClient: redis.client, mqttClient: mqtt });
+    processor.stateTracker = noCache;
+    processor.maintenanceModel = noCache;
+    processor.anomalyDetector = noCache;
+    processor.coordinator = new Coordinator({
+        redisClient: redis.client,
+        group: 'processors',
+        instanceId: 'restarted',
+        evict: equipmentId => processor.evictEquipment(equipmentId),
+        persist: equipmentId => processor.publishing.exceptions.save(redis.client, equipmentId)
+    });
+    return { processor, published: mqtt.published };
+}
+
+// What another processor of the group left behind after publishing the same sample
+function seed(redis) {
+    const time = Date.parse(latest.timestamp);
+    const reported = {};
+    const exceptions = new ReportByException({ maxSilence: 3600 });
+    ['equipment', 'process', 'quality', 'maintenance'].forEach(section => {
+        exceptions.shouldReport(`CNC_01/${section}`, { [section]: latest[section] }, time);
+        reported[`CNC_01/${section}`] = JSON.stringify(exceptions.reported.get(`CNC_01/${section}`));
+    });
+    redis.strings.set('equipment:CNC_01:latest', JSON.stringify(latest));
+    redis.strings.set('equipment:CNC_01:metadata', JSON.stringify(metadata));
+    redis.strings.set('equipment:CNC_01:owner', 'other');
+    redis.hashes.set('equipment:CNC_01:reported', reported);
+}
+
+test('rebuild republishes every section and the metadata of what another processor reported', async () => {
+    const redis = createFakeRedis();
+    seed(redis);
+    const { processor, published } = createProcessor(redis);
+
+    await processor.rebuildRetainedState();
+
+    assert.deepStrictEqual(published.map(message => message.topic).sort(), [
+        'uns/enterprise/equipment/CNC_01',
+        'uns/machining/cell-1/equipment/status',
+        'uns/machining/cell-1/maintenance/status',
+        'uns/machining/cell-1/metadata',
+        'uns/machining/cell-1/process/parameters',
+        'uns/machining/cell-1/quality/metrics'
+    ]);
+    assert.ok(published.every(message => message.options.retain && message.options.qos === 1));
+    assert.deepStrictEqual(JSON.parse(published.find(message => message.topic.endsWith('/metadata')).payload), metadata);
+    assert.deepStrictEqual(JSON.parse(published.find(message => message.topic.endsWith('/quality/metrics')).payload).quality, latest.quality);
+    assert.deepStrictEqual(redis.sets.get('equipment:CNC_01:topics').size, 6);
+});
+
+test('the deadband applies again to the samples after a rebuild', async () => {
+    const redis = createFakeRedis();
+    seed(redis);
+    const { processor, published } = createProcessor(redis);
+
+    await processor.rebuildRetainedState();
+    published.length = 0;
+    await processor.coordinator.withEquipment('CNC_01', () => processor.publishStandardizedData(latest, metadata));
+
+    assert.deepStrictEqual(published, []);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ReportByException, loadPublishingConfig, flatten } = require('../report-by-exception');
+const { createFakeRedis } = require('./fake-redis');
+
+const KEY = 'LINE_01/process';
+const sample = (temperature, power = 50, extra = {}) => ({
+    timestamp: new Date().toISOString(),
+    process: { parameters: { temperature: { value: temperature, original: { value: temperature * 1.8 + 32 } }, powerConsumption: { value: power } } },
+    ...extra
+});
+
+function loadConfig() {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return loadPublishingConfig(path.join(__dirname, '..', 'publishing.yml'));
+    } finally {
+        console.log = log;
+    }
+}
+
+test('flattens documents without the fields that change on every message', () => {
+    assert.deepStrictEqual(flatten(sample(61)), {
+        'process.parameters.temperature.value': 61,
+        'process.parameters.powerConsumption.value': 50
+    });
+    assert.deepStrictEqual(flatten({ alarms: ['E001'], state: null }), { alarms: '["E001"]', state: null });
+});
+
+test('reports numbers that leave their deadband, measured from the last report', () => {
+    const exceptions = new ReportByException({ deadbands: { temperature: { absolute: 0.5 }, powerConsumption: { percent: 2 } } });
+
+    assert.ok(exceptions.shouldReport(KEY, sample(60), 0));
+    assert.ok(!exceptions.shouldReport(KEY, sample(60.4), 1000));
+    // Creeping up does not move the band: 60.6 is 0.6 from the reported 60
+    assert.ok(exceptions.shouldReport(KEY, sample(60.6), 2000));
+    assert.ok(!exceptions.shouldReport(KEY, sample(60.6, 50.9), 3000));
+    assert.ok(exceptions.shouldReport(KEY, sample(60.6, 52), 4000));
+});
+
+test('reports other values on change, new fields and a heartbeat after max silence', () => {
+    const exceptions = new ReportByException({ maxSilence: 60 });
+
+    assert.ok(exceptions.shouldReport(KEY, sample(60, 50, { state: 'RUNNING' }), 0));
+    assert.ok(exceptions.shouldReport(KEY, sample(60, 50, { state: 'IDLE' }), 1000));
+    assert.ok(exceptions.shouldReport(KEY, sample(60, 50, { state: 'IDLE', errorCode: 'E1' }), 2000));
+    assert.ok(!exceptions.shouldReport(KEY, sample(60, 50, { state: 'IDLE', errorCode: 'E1' }), 61000));
+    assert.ok(exceptions.shouldReport(KEY, sample(60, 50, { state: 'IDLE', errorCode: 'E1' }), 62000));
+    assert.ok(exceptions.shouldReport(KEY, sample(60, 50, { state: 'IDLE', errorCode: 'E1' }), 62500, true));
+    assert.ok(exceptions.shouldReport('LINE_01/quality', { goodParts: 1 }, 63000));
+});
+
+test('reports everything when disabled', () => {
+    const exceptions = new ReportByException({ enabled: false });
+
+    assert.ok(exceptions.shouldReport(KEY, sample(60), 0));
+    assert.ok(exceptions.shouldReport(KEY, sample(60), 1));
+});
+
+test('hands the reported values over through Redis', async () => {
+    const { client, hashes } = createFakeRedis();
+    const first = new ReportByException({ deadband: { absolute: 1 } });
+    first.shouldReport(KEY, sample(60), 0);
+    first.shouldReport('PKG_01/process', sample(30), 0);
+
+    await first.save(client, 'LINE_01');
+    assert.deepStrictEqual(Object.keys(hashes.get('equipment:LINE_01:reported')), [KEY]);
+    assert.strictEqual(first.changed.has(KEY), false);
+
+    const second = new ReportByException({ deadband: { absolute: 1 } });
+    second.shouldReport(KEY, sample(99), 0);
+    await second.load(client, 'LINE_01');
+    assert.ok(!second.shouldReport(KEY, sample(60.5), 1000));
+
+    second.forget('LINE_01');
+    assert.ok(second.shouldReport(KEY, sample(60.5), 2000));
+});
+
+test('reads the deadbands of the publishing config', () => {
+    const { exceptions, parameterTopics, watchdog } = loadConfig();
+
+    assert.strictEqual(exceptions.maxSilence, 60000);
+    assert.deepStrictEqual(exceptions.deadbandFor('process.parameters.pressure.value'), { absolute: 0.05 });
+    assert.deepStrictEqual(exceptions.deadbandFor('quality.badParts'), { absolute: 5 });
+    assert.deepStrictEqual(exceptions.deadbandFor('equipment.state'), { absolute: 0, percent: 0 });
+    assert.strictEqual(parameterTopics, false);
+    assert.deepStrictEqual([watchdog.staleAfter, watchdog.commsLostAfter], [3, 10]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RetainedState } = require('../retained-state');
+const { createFakeRedis, createFakeMqtt } = require('./fake-redis');
+
+const messages = (...topics) => topics.map(topic => ({ topic, payload: { topic } }));
+
+test('publishes retained and remembers the topics of each equipment in Redis', async () => {
+    const { client, sets } = createFakeRedis();
+    const mqtt = createFakeMqtt();
+    const retained = new RetainedState({ redisClient: client, mqttClient: mqtt });
+
+    await retained.publish('LINE_01', messages('uns/a/state', 'uns/a/process'));
+    await retained.publish('LINE_01', messages('uns/a/state'));
+
+    assert.deepStrictEqual(mqtt.published.map(message => [message.topic, message.options]), [
+        ['uns/a/state', { qos: 1, retain: true }],
+        ['uns/a/process', { qos: 1, retain: true }],
+        ['uns/a/state', { qos: 1, retain: true }]
+    ]);
+    assert.strictEqual(mqtt.published[1].payload, '{"topic":"uns/a/process"}');
+    assert.deepStrictEqual(Array.from(sets.get('equipment:LINE_01:topics')), ['uns/a/state', 'uns/a/process']);
+});
+
+test('clears topics another processor retained', async () => {
+    const { client, sets } = createFakeRedis();
+    await new RetainedState({ redisClient: client, mqttClient: createFakeMqtt() }).publish('LINE_01', messages('uns/a/state', 'uns/a/quality'));
+    const mqtt = createFakeMqtt();
+    const other = new RetainedState({ redisClient: client, mqttClient: mqtt });
+
+    assert.deepStrictEqual(await other.clear('LINE_01'), ['uns/a/state', 'uns/a/quality']);
+    assert.deepStrictEqual(mqtt.published.map(message => [message.topic, message.payload, message.options.retain]), [
+        ['uns/a/state', '', true],
+        ['uns/a/quality', '', true]
+    ]);
+    assert.strictEqual(sets.has('equipment:LINE_01:topics'), false);
+    assert.deepStrictEqual(await other.clear('LINE_01'), []);
+});
+
+test('reloads evicted topics from Redis', async () => {
+    const { client } = createFakeRedis();
+    const first = new RetainedState({ redisClient: client, mqttClient: createFakeMqtt() });
+    const second = new RetainedState({ redisClient: client, mqttClient: createFakeMqtt() });
+    await first.publish('LINE_01', messages('uns/a/state'));
+    await second.publish('LINE_01', messages('uns/a/process'));
+
+    assert.deepStrictEqual(Array.from(await first.knownTopics('LINE_01')), ['uns/a/state']);
+    first.evict('LINE_01');
+    assert.deepStrictEqual(Array.from(await first.knownTopics('LINE_01')), ['uns/a/state', 'uns/a/process']);
+});
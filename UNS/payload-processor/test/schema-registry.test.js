@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SchemaRegistry, topicMatches } = require('../schema-registry');
+
+const SCHEMAS = path.join(__dirname, '..', 'schemas');
+
+function load(directory) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new SchemaRegistry(directory).load();
+    } finally {
+        console.log = log;
+    }
+}
+
+// Two versions of one schema in a directory of their own
+function versionedDirectory() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schemas-'));
+    const schema = (version, required, isDefault) => ({
+        'x-schema': { name: 'raw-test', version, topics: ['raw/test/+/data'], default: isDefault },
+        type: 'object',
+        required
+    });
+    fs.writeFileSync(path.join(directory, 'raw-test-v1.json'), JSON.stringify(schema(1, ['value'], true)));
+    fs.writeFileSync(path.join(directory, 'raw-test-v2.json'), JSON.stringify(schema(2, ['value', 'unit'], false)));
+    return directory;
+}
+
+const RAW = {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    machineId: 'LINE_01',
+    machineType: 'PRODUCTION_LINE',
+    sensors: { temperature: 70.2, pressure: 3, speed: 85 },
+    status: { state: 'RUNNING', cycle_count: 10, runtime_hours: 1.2 }
+};
+
+test('matches topics with + and # wildcards', () => {
+    assert.ok(topicMatches('raw/plc/+/data', 'raw/plc/line1/data'));
+    assert.ok(topicMatches('raw/#', 'raw/plc/line1/data'));
+    assert.ok(!topicMatches('raw/plc/+/data', 'raw/plc/line1/parts'));
+    assert.ok(!topicMatches('raw/plc/+/data', 'raw/plc/line1/data/extra'));
+    assert.ok(!topicMatches('raw/plc/+', 'raw/plc'));
+});
+
+test('validates raw PLC data by the schema mapped to its topic', () => {
+    const registry = load(SCHEMAS);
+
+    assert.ok(registry.rawTopics.includes('raw/plc/+/data'));
+    assert.deepStrictEqual(registry.validateTopic('raw/plc/line1/data', RAW), { schema: 'raw-plc v1', errors: null });
+
+    const { errors } = registry.validateTopic('raw/plc/line1/data', { ...RAW, sensors: { ...RAW.sensors, pressure: 'high' }, machineId: undefined });
+    assert.ok(errors.some(error => error.startsWith('/sensors/pressure')), errors.join('; '));
+    assert.ok(errors.some(error => error.includes("'machineId'")), errors.join('; '));
+    assert.deepStrictEqual(registry.validateTopic('raw/other', RAW).errors, ['no schema mapped to topic raw/other']);
+});
+
+test('picks the version a payload names, or the default one', () => {
+    const registry = load(versionedDirectory());
+
+    assert.strictEqual(registry.validate('raw-test', { value: 1 }).schema, 'raw-test v1');
+    assert.strictEqual(registry.validate('raw-test', { value: 1, schemaVersion: 1 }).errors, null);
+    assert.deepStrictEqual(registry.validate('raw-test', { value: 1, schemaVersion: '2' }), {
+        schema: 'raw-test v2',
+        errors: ["/ must have required property 'unit'"]
+    });
+    assert.deepStrictEqual(registry.validate('raw-test', { schemaVersion: 3 }).errors, ['no schema raw-test v3 registered']);
+    assert.deepStrictEqual(registry.validate('unknown', {}).errors, ['no schema unknown registered']);
+});
+
+test('refuses two schemas with the same name and version', () => {
+    const directory = versionedDirectory();
+    fs.copyFileSync(path.join(directory, 'raw-test-v1.json'), path.join(directory, 'raw-test-v1-copy.json'));
+
+    assert.throws(() => load(directory), /raw-test v1 is already registered/);
+});
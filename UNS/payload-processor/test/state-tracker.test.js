@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { StateTracker } = require('../state-tracker');
+const { createFakeRedis } = require('./fake-redis');
+const { createFakeDb } = require('./fake-mongo');
+
+const mapStatus = state => (state === 'RUNNING' ? 'Running' : 'Stopped');
+
+const sample = (timestamp, state, errorCode) => ({
+    timestamp,
+    source: { equipmentId: 'LINE_01' },
+    maintenance: { currentState: state, errorCode }
+});
+
+function createTracker(redis = createFakeRedis(), db = createFakeDb()) {
+    return { redis, db, tracker: new StateTracker({ redisClient: redis.client, db, mapStatus }) };
+}
+
+test('turns a state change into a transition event kept in the state history', async () => {
+    const { tracker, db } = createTracker();
+
+    assert.strictEqual(await tracker.track(sample('2026-01-01T00:00:00.000Z', 'RUNNING')), null);
+    assert.strictEqual(await tracker.track(sample('2026-01-01T00:00:05.000Z', 'RUNNING')), null);
+    const event = await tracker.track(sample('2026-01-01T00:01:30.000Z', 'ERROR', 'E004'));
+
+    assert.deepStrictEqual(
+        [event.type, event.from, event.to, event.fromStatus, event.toStatus, event.errorCode, event.previousErrorCode, event.previousStateDuration],
+        ['STATE_TRANSITION', 'RUNNING', 'ERROR', 'Running', 'Stopped', 'E004', null, 90]
+    );
+    const [stored] = db.collection('state_history').documents;
+    assert.strictEqual(stored.eventId, event.eventId);
+    assert.deepStrictEqual([stored.timestamp, stored.previousStateSince],
+        [new Date('2026-01-01T00:01:30.000Z'), new Date('2026-01-01T00:00:00.000Z')]);
+});
+
+test('ignores samples older than the current state', async () => {
+    const { tracker, db } = createTracker();
+    await tracker.track(sample('2026-01-01T00:01:00.000Z', 'RUNNING'));
+
+    assert.strictEqual(await tracker.track(sample('2026-01-01T00:00:30.000Z', 'IDLE')), null);
+    assert.strictEqual(db.collection('state_history').documents.length, 0);
+});
+
+test('picks up the state another processor left in Redis', async () => {
+    const redis = createFakeRedis();
+    await createTracker(redis).tracker.track(sample('2026-01-01T00:00:00.000Z', 'RUNNING'));
+    const { tracker } = createTracker(redis);
+
+    assert.strictEqual(await tracker.track(sample('2026-01-01T00:00:10.000Z', 'RUNNING')), null);
+    assert.strictEqual((await tracker.track(sample('2026-01-01T00:00:20.000Z', 'IDLE'))).previousStateDuration, 20);
+
+    await tracker.forget('LINE_01');
+    assert.strictEqual(redis.strings.has('equipment:LINE_01:state'), false);
+    assert.strictEqual(await tracker.track(sample('2026-01-01T00:00:30.000Z', 'RUNNING')), null);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCanonical, normalizeUnit } = require('../units');
+const { SourceMapping } = require('../mapping');
+
+const definition = parameters => ({
+    topics: ['raw/test/+/data'],
+    fields: { timestamp: 'ts', equipmentId: 'id', equipmentClass: { value: 'TEST' } },
+    parameters
+});
+
+test('converts to the canonical unit of the dimension', () => {
+    assert.deepStrictEqual(toCanonical(212, '°F', 'temperature'), { value: 100, unit: 'Cel', original: { value: 212, unit: '°F' } });
+    assert.deepStrictEqual(toCanonical(1500, 'W', 'power'), { value: 1.5, unit: 'kW', original: { value: 1500, unit: 'W' } });
+});
+
+test('flags a unit of another dimension instead of converting it', () => {
+    const result = toCanonical(3, 'bar', 'temperature');
+    assert.strictEqual(result.value, null);
+    assert.match(result.unitError, /measures pressure, expected temperature/);
+});
+
+test('does not read bare C and F as temperatures', () => {
+    assert.strictEqual(normalizeUnit('C'), null);
+    assert.strictEqual(normalizeUnit('F'), null);
+    assert.strictEqual(normalizeUnit('°C'), 'Cel');
+});
+
+test('rejects a mapping that declares a unit of another dimension', () => {
+    assert.throws(() => new SourceMapping(definition({ temperature: { path: 'temp', unit: 'bar' } }), 'test.yml'),
+        /parameter "temperature" measures temperature, its unit "bar" measures pressure/);
+});
+
+test('needs a dimension for a parameter that is not canonical', () => {
+    assert.throws(() => new SourceMapping(definition({ flow: { path: 'flow', unit: 'm/s' } }), 'test.yml'), /needs a dimension/);
+    const mapping = new SourceMapping(definition({ flow: { path: 'flow', unit: 'm/s', dimension: 'velocity' } }), 'test.yml');
+    assert.strictEqual(mapping.apply({ ts: '2024-01-01T00:00:00Z', id: 'E', flow: 2 }).parameters.flow.value, 2000);
+});
+
+test('flags a payload unit of another dimension', () => {
+    const mapping = new SourceMapping(definition({ pressure: { path: 'p.value', unit_path: 'p.unit', unit: 'bar' } }), 'test.yml');
+    const { pressure } = mapping.apply({ ts: '2024-01-01T00:00:00Z', id: 'E', p: { value: 70, unit: '°F' } }).parameters;
+    assert.strictEqual(pressure.value, null);
+    assert.match(pressure.unitError, /measures temperature, expected pressure/);
+});
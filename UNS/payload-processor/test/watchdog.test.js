@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Watchdog } = require('../watchdog');
+const { PayloadProcessor } = require('../processor');
+const { Coordinator } = require('../coordinator');
+const { ReportByException } = require('../report-by-exception');
+const { RetainedState } = require('../retained-state');
+const { createFakeRedis, createFakeMqtt } = require('./fake-redis');
+
+function createWatchdog(options = {}) {
+    const changes = [];
+    const watchdog = new Watchdog({
+        staleAfter: 3,
+        commsLostAfter: 10,
+        defaultInterval: 5,
+        onChange: (equipmentId, status, info) => changes.push({ equipmentId, status, ...info }),
+        ...options
+    });
+    return { watchdog, changes };
+}
+
+test('flags a silent source STALE, then COMMS_LOST, and GOOD again on its next sample', () => {
+    const { watchdog, changes } = createWatchdog();
+    // Learns an interval of 2s
+    [0, 2000, 4000, 6000].forEach(time => watchdog.seen('LINE_01', time));
+
+    watchdog.check(11000);
+    assert.strictEqual(watchdog.status('LINE_01'), 'GOOD');
+    watchdog.check(12000);
+    watchdog.check(13000);
+    watchdog.check(26000);
+    watchdog.seen('LINE_01', 60000);
+
+    assert.deepStrictEqual(changes.map(change => [change.status, change.previous]), [
+        ['STALE', 'GOOD'],
+        ['COMMS_LOST', 'STALE'],
+        ['GOOD', 'COMMS_LOST']
+    ]);
+    assert.deepStrictEqual([changes[0].silentFor, changes[1].silentFor], [6, 20]);
+    assert.strictEqual(changes[0].lastSeen, new Date(6000).toISOString());
+    assert.strictEqual(changes[0].expectedInterval, 2);
+});
+
+test('an outage does not stretch the learned interval and a burst cannot shrink it below the minimum', () => {
+    const { watchdog } = createWatchdog({ minInterval: 1 });
+    [0, 2000, 4000].forEach(time => watchdog.seen('LINE_01', time));
+    watchdog.check(60000);
+    watchdog.seen('LINE_01', 60000);
+    assert.strictEqual(watchdog.expectedInterval(watchdog.sources.get('LINE_01')), 2000);
+
+    // A store-and-forward buffer draining
+    for (let time = 60010; time < 61000; time += 10) watchdog.seen('LINE_01', time);
+    assert.strictEqual(watchdog.expectedInterval(watchdog.sources.get('LINE_01')), 1000);
+});
+
+test('assumes the default interval until one is learned', () => {
+    const { watchdog, changes } = createWatchdog();
+    watchdog.seen('PKG_01', 0);
+
+    watchdog.check(14999);
+    assert.strictEqual(changes.length, 0);
+    watchdog.check(15000);
+    assert.strictEqual(watchdog.status('PKG_01'), 'STALE');
+});
+
+test('watches the samples of the whole group only while it is the leader', async () => {
+    let lastSeen = null;
+    const { watchdog, changes } = createWatchdog({ lastSeen: async () => lastSeen });
+    watchdog.seen('LINE_01', Date.now());
+
+    await watchdog.tick();
+    assert.strictEqual(watchdog.sources.size, 0);
+
+    lastSeen = [['LINE_01', Date.now() - 60000], ['PKG_01', Date.now()]];
+    await watchdog.tick();
+    assert.deepStrictEqual(changes.map(change => [change.equipmentId, change.status]), [['LINE_01', 'COMMS_LOST']]);
+
+    // Decommissioned meanwhile
+    lastSeen = [['PKG_01', Date.now()]];
+    await watchdog.tick();
+    assert.deepStrictEqual(Array.from(watchdog.sources.keys()), ['PKG_01']);
+});
+
+// A single processor, with just what publishing a change of communication needs
+function createProcessor(redis) {
+    const processor = new PayloadProcessor();
+    const mqtt = createFakeMqtt();
+    processor.topicLayout = 'legacy';
+    processor.redisClient = redis.client;
+    processor.mqttClient = mqtt;
+    processor.publishing = { exceptions: new ReportByException({ maxSilence: 3600 }), parameterTopics: false };
+    processor.retainedState = new RetainedState({ redisClient: redis.client, mqttClient: mqtt });
+    processor.coordinator = new Coordinator({ redisClient: redis.client, instanceId: 'single' });
+    return { processor, published: mqtt.published };
+}
+
+const latest = {
+    schemaVersion: 1,
+    messageId: 'm-1',
+    timestamp: '2026-10-19T08:00:00.000Z',
+    source: { equipmentId: 'MIXER_01', area: 'mixing', workUnit: 'mixer-1' },
+    equipment: { status: 'RUNNING' },
+    process: { parameters: { temperature: { value: 61.2, unit: 'Cel', quality: 'Good' } } }
+};
+
+test('a stale source keeps its last values flagged Uncertain, and Bad once communication is lost', async () => {
+    const redis = createFakeRedis();
+    redis.strings.set('equipment:MIXER_01:latest', JSON.stringify(latest));
+    const { processor, published } = createProcessor(redis);
+    const info = previous => ({ previous, lastSeen: latest.timestamp, silentFor: 15, expectedInterval: 5 });
+    const log = console.log;
+    console.log = () => {};
+
+    try {
+        await processor.handleCommsChange('MIXER_01', 'STALE', info('GOOD'));
+        await processor.handleCommsChange('MIXER_01', 'COMMS_LOST', info('STALE'));
+        await new Promise(resolve => setImmediate(resolve));
+    } finally {
+        console.log = log;
+    }
+
+    const events = published.filter(message => message.topic === 'uns/mixing/mixer-1/events/communication').map(message => JSON.parse(message.payload));
+    assert.deepStrictEqual(events.map(event => [event.from, event.to]), [['GOOD', 'STALE'], ['STALE', 'COMMS_LOST']]);
+
+    const parameters = published.filter(message => message.topic === 'uns/mixing/mixer-1/process/parameters')
+        .map(message => JSON.parse(message.payload).process.parameters.temperature);
+    assert.deepStrictEqual(parameters, [
+        { value: 61.2, unit: 'Cel', quality: 'Uncertain', qualityReason: 'STALE' },
+        { value: 61.2, unit: 'Cel', quality: 'Bad', qualityReason: 'COMMS_LOST' }
+    ]);
+    const cached = JSON.parse(redis.strings.get('equipment:MIXER_01:latest'));
+    assert.deepStrictEqual([cached.equipment.status, cached.equipment.communication.status], ['COMMS_LOST', 'COMMS_LOST']);
+});
+
+test('judges fresh values by their unit and range', () => {
+    const processor = new PayloadProcessor();
+    const range = { low: 0, high: 100 };
+
+    assert.deepStrictEqual(processor.assessQuality({ value: 50 }, { range }), { quality: 'Good' });
+    assert.deepStrictEqual(processor.assessQuality({ value: 120 }, { range }), { quality: 'Uncertain', qualityReason: 'OUT_OF_RANGE' });
+    assert.deepStrictEqual(processor.assessQuality({ value: null, unitError: 'unknown unit "x"' }, { range }), { quality: 'Bad', qualityReason: 'UNIT_ERROR' });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WorkQueue } = require('../work-queue');
+
+// A handler whose items finish only when the test lets them
+function createHandler() {
+    const started = [];
+    const finishers = [];
+    return {
+        started,
+        handler: item => new Promise(resolve => {
+            started.push(item);
+            finishers.push(resolve);
+        }),
+        finish: async (count = finishers.length) => {
+            finishers.splice(0, count).forEach(resolve => resolve());
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+}
+
+function quietly(fn) {
+    const [log, warn, error] = [console.log, console.warn, console.error];
+    console.log = console.warn = console.error = () => {};
+    return Promise.resolve().then(fn).finally(() => {
+        [console.log, console.warn, console.error] = [log, warn, error];
+    });
+}
+
+test('runs different keys concurrently and one key at a time, in arrival order', async () => {
+    const { started, handler, finish } = createHandler();
+    const queue = new WorkQueue({ handler, concurrency: 2 });
+
+    ['a1', 'a2', 'b1', 'c1'].forEach(item => queue.push(item[0], item));
+    assert.deepStrictEqual(started, ['a1', 'b1']);
+
+    await finish(1);
+    assert.deepStrictEqual(started, ['a1', 'b1', 'c1']);
+    await finish(2);
+    assert.deepStrictEqual(started, ['a1', 'b1', 'c1', 'a2']);
+    await finish();
+
+    assert.deepStrictEqual([queue.size, queue.running, queue.stats().processed], [0, 0, 4]);
+});
+
+test('holds back new messages once full until it drains below half capacity', async () => {
+    const { handler, finish } = createHandler();
+    const queue = new WorkQueue({ handler, concurrency: 1, capacity: 4 });
+    const accepted = [];
+
+    await quietly(async () => {
+        // One in progress, four waiting
+        ['t1', 't2', 't3', 't4', 't5'].forEach(item => queue.push('t', item));
+        queue.whenAccepting(() => accepted.push('first'));
+        queue.whenAccepting(() => accepted.push('second'));
+        assert.deepStrictEqual(accepted, []);
+        assert.strictEqual(queue.stats().backPressure, true);
+
+        await finish(1);
+        assert.strictEqual(queue.size, 3);
+        assert.deepStrictEqual(accepted, []);
+        await finish(1);
+        await finish(1);
+        assert.deepStrictEqual(accepted, ['first', 'second']);
+        assert.deepStrictEqual([queue.stats().backPressure, queue.stats().backPressureEvents], [false, 1]);
+        await finish();
+        await finish();
+    });
+});
+
+test('counts failed items and carries on with the next', async () => {
+    const handled = [];
+    const queue = new WorkQueue({
+        handler: async item => {
+            if (item === 'bad') throw new Error('boom');
+            handled.push(item);
+        }
+    });
+
+    await quietly(async () => {
+        queue.push('t', 'bad');
+        queue.push('t', 'good');
+        await queue.close();
+    });
+
+    assert.deepStrictEqual(handled, ['good']);
+    assert.deepStrictEqual([queue.stats().processed, queue.stats().failed], [1, 1]);
+});
+
+test('close waits for the queued items and accepts no more', async () => {
+    const { started, handler, finish } = createHandler();
+    const queue = new WorkQueue({ handler, concurrency: 1 });
+    queue.push('t', 1);
+    queue.push('t', 2);
+
+    let closed = false;
+    const closing = queue.close().then(() => {
+        closed = true;
+    });
+    let accepted = false;
+    queue.whenAccepting(() => {
+        accepted = true;
+    });
+    await finish();
+    assert.strictEqual(closed, false);
+    await finish();
+    await closing;
+
+    assert.deepStrictEqual([started, closed, accepted], [[1, 2], true, false]);
+});
@@ -0,0 +1,118 @@
+// Engineering units by UCUM code (https://ucum.org). Each unit converts linearly
+// to its dimension's canonical plant unit: canonical = value * factor + offset.
+const UNITS = {
+    'Cel': { dimension: 'temperature', factor: 1, offset: 0 },
+    '[degF]': { dimension: 'temperature', factor: 5 / 9, offset: -160 / 9 },
+    'K': { dimension: 'temperature', factor: 1, offset: -273.15 },
+
+    'bar': { dimension: 'pressure', factor: 1 },
+    'mbar': { dimension: 'pressure', factor: 0.001 },
+    'Pa': { dimension: 'pressure', factor: 0.00001 },
+    'kPa': { dimension: 'pressure', factor: 0.01 },
+    'MPa': { dimension: 'pressure', factor: 10 },
+    '[psi]': { dimension: 'pressure', factor: 0.0689475729 },
+
+    '%': { dimension: 'ratio', factor: 1 },
+    '1': { dimension: 'ratio', factor: 100 },
+
+    'mm/s': { dimension: 'velocity', factor: 1 },
+    'm/s': { dimension: 'velocity', factor: 1000 },
+    '[in_i]/s': { dimension: 'velocity', factor: 25.4 },
+
+    'W': { dimension: 'power', factor: 0.001 },
+    'kW': { dimension: 'power', factor: 1 },
+    'MW': { dimension: 'power', factor: 1000 },
+
+    'h': { dimension: 'time', factor: 1 },
+    'min': { dimension: 'time', factor: 1 / 60 },
+    's': { dimension: 'time', factor: 1 / 3600 },
+
+    'mm': { dimension: 'length', factor: 1 },
+    'm': { dimension: 'length', factor: 1000 },
+    '[in_i]': { dimension: 'length', factor: 25.4 }
+};
+
+// The plant's canonical unit per dimension
+const CANONICAL_UNITS = {
+    temperature: 'Cel',
+    pressure: 'bar',
+    ratio: '%',
+    velocity: 'mm/s',
+    power: 'kW',
+    time: 'h',
+    length: 'mm'
+};
+
+// The dimension of each canonical process parameter; a mapping declares one for a
+// parameter that is not listed here
+const PARAMETER_DIMENSIONS = {
+    temperature: 'temperature',
+    pressure: 'pressure',
+    speed: 'ratio',
+    vibration: 'velocity',
+    powerConsumption: 'power',
+    batteryLevel: 'ratio'
+};
+
+// Spellings devices commonly use instead of UCUM codes. Bare C and F are left out:
+// in UCUM they are coulomb and farad.
+const ALIASES = {
+    'celsius': 'Cel',
+    '°C': 'Cel',
+    'degC': 'Cel',
+    'fahrenheit': '[degF]',
+    '°F': '[degF]',
+    'degF': '[degF]',
+    'kelvin': 'K',
+    'psi': '[psi]',
+    'percent': '%',
+    'in/s': '[in_i]/s',
+    'ips': '[in_i]/s',
+    'in': '[in_i]',
+    'hours': 'h'
+};
+
+function normalizeUnit(unit) {
+    if (unit === undefined || unit === null) return null;
+    const code = String(unit).trim();
+    if (UNITS[code]) return code;
+    if (ALIASES[code]) return ALIASES[code];
+    if (ALIASES[code.toLowerCase()]) return ALIASES[code.toLowerCase()];
+    return null;
+}
+
+function dimensionOf(unit) {
+    const code = normalizeUnit(unit);
+    return code ? UNITS[code].dimension : null;
+}
+
+// Returns { value, unit } in the canonical unit, with original: { value, unit } when
+// converted, or { value: null, unit, unitError } for a unit outside the registry or,
+// given the parameter's dimension, a unit of another dimension
+function toCanonical(value, unit, dimension = null) {
+    const code = normalizeUnit(unit);
+    if (!code) {
+        return { value: null, unit: unit ?? null, unitError: `unknown unit "${unit}"` };
+    }
+    if (dimension && UNITS[code].dimension !== dimension) {
+        return { value: null, unit: code, unitError: `unit "${unit}" measures ${UNITS[code].dimension}, expected ${dimension}` };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { value: null, unit: code, unitError: `non-numeric value ${JSON.stringify(value)}` };
+    }
+
+    const definition = UNITS[code];
+    const canonical = CANONICAL_UNITS[definition.dimension];
+    if (code === canonical) {
+        return { value, unit: code };
+    }
+
+    const converted = value * definition.factor + (definition.offset || 0);
+    return {
+        value: Math.round(converted * 1e6) / 1e6,
+        unit: canonical,
+        original: { value, unit: String(unit) }
+    };
+}
+
+module.exports = { UNITS, CANONICAL_UNITS, PARAMETER_DIMENSIONS, normalizeUnit, dimensionOf, toCanonical };
@@ -0,0 +1,125 @@
+// Communication status of a source, from the time since its last sample
+const COMMS_STATUSES = ['GOOD', 'STALE', 'COMMS_LOST'];
+
+// Learns how often each equipment reports and flags it STALE after staleAfter
+// missed intervals and COMMS_LOST after commsLostAfter. onChange(equipmentId, status,
+// info) is called on every change of communication status, including recovery.
+// Processors sharing the raw topics each see only part of the samples; they pass
+// lastSeen, an async function returning [[equipmentId, time]] of every sample seen
+// in the group, or null on the processors that do not watch.
+class Watchdog {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.staleAfter = options.staleAfter ?? 3;
+        this.commsLostAfter = options.commsLostAfter ?? 10;
+        this.defaultInterval = (options.defaultInterval ?? 5) * 1000;
+        this.minInterval = (options.minInterval ?? 1) * 1000;
+        this.checkInterval = (options.checkInterval ?? 1) * 1000;
+        this.onChange = options.onChange || (() => {});
+        this.lastSeen = options.lastSeen || null;
+        this.sources = new Map(); // equipmentId -> { lastSeen, interval, status }
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    start() {
+        if (this.enabled && !this.timer) {
+            this.timer = setInterval(() => this.tick(), this.checkInterval);
+        }
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            if (this.lastSeen && !await this.sync()) return;
+            this.check(Date.now());
+        } catch (error) {
+            console.error('Error checking communication:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // Takes over the samples seen by the group; false while another processor watches
+    async sync() {
+        const lastSeen = await this.lastSeen();
+        if (!lastSeen) {
+            this.sources.clear();
+            return false;
+        }
+
+        const known = new Set();
+        lastSeen.forEach(([equipmentId, time]) => {
+            known.add(equipmentId);
+            const source = this.sources.get(equipmentId);
+            if (!source || time > source.lastSeen) {
+                this.seen(equipmentId, time);
+            }
+        });
+        // Decommissioned meanwhile
+        Array.from(this.sources.keys()).filter(equipmentId => !known.has(equipmentId)).forEach(equipmentId => this.sources.delete(equipmentId));
+        return true;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Records a sample; the interval is a moving average of the gaps between
+    // samples, leaving out outages so they do not stretch it. Bursts (a store and
+    // forward buffer draining) cannot shrink it below minInterval.
+    seen(equipmentId, now = Date.now()) {
+        const source = this.sources.get(equipmentId);
+        if (!source) {
+            this.sources.set(equipmentId, { lastSeen: now, interval: null, status: 'GOOD' });
+            return;
+        }
+
+        const gap = now - source.lastSeen;
+        if (source.status === 'GOOD' && gap > 0) {
+            source.interval = source.interval === null ? gap : source.interval * 0.8 + gap * 0.2;
+        }
+        source.lastSeen = now;
+        if (source.status !== 'GOOD') {
+            this.change(equipmentId, source, 'GOOD', now);
+        }
+    }
+
+    expectedInterval(source) {
+        return source.interval === null ? this.defaultInterval : Math.max(source.interval, this.minInterval);
+    }
+
+    check(now = Date.now()) {
+        this.sources.forEach((source, equipmentId) => {
+            const missed = (now - source.lastSeen) / this.expectedInterval(source);
+            const status = missed >= this.commsLostAfter ? 'COMMS_LOST' : missed >= this.staleAfter ? 'STALE' : 'GOOD';
+            if (COMMS_STATUSES.indexOf(status) > COMMS_STATUSES.indexOf(source.status)) {
+                this.change(equipmentId, source, status, now);
+            }
+        });
+    }
+
+    change(equipmentId, source, status, now) {
+        const previous = source.status;
+        source.status = status;
+        this.onChange(equipmentId, status, {
+            previous,
+            lastSeen: new Date(source.lastSeen).toISOString(),
+            silentFor: (now - source.lastSeen) / 1000, // seconds
+            expectedInterval: this.expectedInterval(source) / 1000 // seconds
+        });
+    }
+
+    status(equipmentId) {
+        const source = this.sources.get(equipmentId);
+        return source ? source.status : null;
+    }
+
+    forget(equipmentId) {
+        this.sources.delete(equipmentId);
+    }
+}
+
+module.exports = { Watchdog, COMMS_STATUSES };
@@ -0,0 +1,145 @@
+// Latencies of the most recent items, for percentiles
+const LATENCY_WINDOW = 1000;
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// Bounded queue worked off by a fixed number of concurrent workers. Items with the
+// same key (the raw topic) are handled one at a time and in arrival order, so a
+// source's samples never overtake each other. Once capacity items are waiting,
+// whenAccepting() holds its callback until the queue is back under half capacity.
+class WorkQueue {
+    constructor(options) {
+        this.handler = options.handler; // async (item) => void
+        this.concurrency = options.concurrency || 16;
+        this.capacity = options.capacity || 10000;
+        this.lowWatermark = Math.floor(this.capacity / 2);
+
+        this.pending = new Map(); // key -> items waiting, oldest first
+        this.ready = []; // keys with waiting items and no item in progress
+        this.active = new Set(); // keys with an item in progress
+        this.size = 0;
+        this.running = 0;
+        this.waiting = []; // whenAccepting callbacks held by back-pressure
+        this.closed = false;
+
+        this.processed = 0;
+        this.failed = 0;
+        this.pausedCount = 0;
+        this.latencies = [];
+        this.startedAt = Date.now();
+    }
+
+    get full() {
+        return this.size >= this.capacity;
+    }
+
+    push(key, item) {
+        if (!this.pending.has(key)) {
+            this.pending.set(key, []);
+        }
+        this.pending.get(key).push({ item, queuedAt: Date.now() });
+        this.size++;
+
+        if (!this.active.has(key) && !this.ready.includes(key)) {
+            this.ready.push(key);
+        }
+        this.drain();
+    }
+
+    // Calls back now, or once the queue has drained below the low watermark
+    whenAccepting(callback) {
+        if (this.closed) return; // shutting down, never accept more
+        if (!this.full && this.waiting.length === 0) {
+            callback();
+            return;
+        }
+        if (this.waiting.length === 0) {
+            this.pausedCount++;
+            console.warn(`Work queue full (${this.size} waiting), holding back new messages`);
+        }
+        this.waiting.push(callback);
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.ready.length > 0) {
+            this.run(this.ready.shift());
+        }
+    }
+
+    async run(key) {
+        const entries = this.pending.get(key);
+        const { item, queuedAt } = entries.shift();
+        this.size--;
+        this.running++;
+        this.active.add(key);
+
+        try {
+            await this.handler(item);
+            this.processed++;
+        } catch (error) {
+            this.failed++;
+            console.error(`Work queue handler failed for ${key}:`, error);
+        } finally {
+            this.recordLatency(Date.now() - queuedAt);
+            this.running--;
+            this.active.delete(key);
+            if (entries.length > 0) {
+                this.ready.push(key);
+            } else {
+                this.pending.delete(key);
+            }
+            this.release();
+            this.drain();
+        }
+    }
+
+    release() {
+        if (!this.closed && this.waiting.length > 0 && this.size <= this.lowWatermark) {
+            console.log(`Work queue drained to ${this.size}, accepting messages again`);
+            this.waiting.splice(0).forEach(callback => callback());
+        }
+    }
+
+    recordLatency(latency) {
+        this.latencies.push(latency);
+        if (this.latencies.length > LATENCY_WINDOW) {
+            this.latencies.shift();
+        }
+    }
+
+    // Stops accepting and resolves once everything queued has been handled
+    async close() {
+        this.closed = true;
+        while (this.size > 0 || this.running > 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    stats() {
+        const sorted = [...this.latencies].sort((a, b) => a - b);
+        const uptime = (Date.now() - this.startedAt) / 1000;
+        return {
+            depth: this.size,
+            capacity: this.capacity,
+            inProgress: this.running,
+            concurrency: this.concurrency,
+            backPressure: this.waiting.length > 0,
+            backPressureEvents: this.pausedCount,
+            processed: this.processed,
+            failed: this.failed,
+            throughput: uptime > 0 ? Math.round((this.processed / uptime) * 10) / 10 : 0, // messages per second since start
+            latencyMs: {
+                avg: sorted.length ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : 0,
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                p99: percentile(sorted, 99),
+                max: sorted.length ? sorted[sorted.length - 1] : 0
+            }
+        };
+    }
+}
+
+module.exports = { WorkQueue };